@@ -11,6 +11,9 @@ const state = {
   manualDisconnect: false,
   url: localStorage.getItem("webmcp-broker-url") || DEFAULT_BROKER_URL,
   topicPrefix: localStorage.getItem("webmcp-topic-prefix") || "",
+  brokerSettings: JSON.parse(localStorage.getItem("webmcp-broker-settings") || "{}"),
+  profiles: JSON.parse(localStorage.getItem("webmcp-profiles") || "null"),
+  activeProfileId: localStorage.getItem("webmcp-active-profile"),
   seenTopics: [],
   watching: null,
   topicListeners: {},
@@ -22,20 +25,52 @@ const state = {
   pinnedTopics: {},
   toolLog: [],
   reconnect: null,
-  sidebarCollapsed: { topics: false },
+  sidebarCollapsed: { devices: false, topics: false, session: true, ...JSON.parse(localStorage.getItem("webmcp-sidebar-collapsed") || "{}") },
   topicMsgCounts: {},
+  topicHistory: {},
+  historyView: null,
+  plotPaths: JSON.parse(localStorage.getItem("webmcp-plot-paths") || "{}"),
+  plotSamples: {},
+  plotView: null,
+  devices: {},
+  deviceTools: {},
+  recording: null,
+  lastRecording: null,
+  loadedRecording: null,
+  replay: null,
+  codecRules: JSON.parse(localStorage.getItem("webmcp-codec-rules") || "[]"),
+  safetyRules: JSON.parse(localStorage.getItem("webmcp-safety-rules") || "[]"),
+  estopEngaged: localStorage.getItem("webmcp-estop-engaged") === "1",
+  estopActions: JSON.parse(localStorage.getItem("webmcp-estop-actions") || "[]"),
+  haltCtrl: new AbortController(),
+  approvalPolicy: { defaultAction: "allow", rules: [], ...JSON.parse(localStorage.getItem("webmcp-approval-policy") || "{}") },
 };
 
 let _toolLogId = 0;
 
+// Sidebar sections with a collapsible `${name}-list` body.
+const SIDEBAR_SECTIONS = ["devices", "topics", "session"];
+
 // Helpers
 
 function $(id) {
   return document.getElementById(id);
 }
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+// Rejects with the signal's reason if it aborts before the delay elapses.
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
 }
 
 function toast(msg, kind = "default", durationMs = 3000) {
@@ -51,6 +86,19 @@ function cssId(str) {
   return str.replace(/[^a-zA-Z0-9_-]/g, "_");
 }
 
+function downloadText(filename, text, type) {
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(new Blob([text], { type }));
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
+
+// Short unique id for stored records.
+function newId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
 function escHtml(str) {
   return String(str)
     .replace(/&/g, "&amp;")
@@ -67,6 +115,42 @@ function prettyJson(str) {
   }
 }
 
+function parsePayload(str) {
+  try {
+    return JSON.parse(str);
+  } catch {
+    return str;
+  }
+}
+
+// Minimal JSON path: "a.b[0].c", optionally prefixed with "$". Empty path or "$" is the value itself.
+function parseJsonPath(path) {
+  const p = String(path).trim().replace(/^\$\.?/, "");
+  const keys = [];
+  for (const m of p.matchAll(/\[(\d+)\]|\["([^"]*)"\]|([^.[\]]+)/g)) {
+    keys.push(m[1] !== undefined ? Number(m[1]) : m[2] ?? m[3]);
+  }
+  return keys;
+}
+
+function getJsonPath(value, path) {
+  let cur = value;
+  for (const key of parseJsonPath(path)) {
+    if (cur === null || typeof cur !== "object") return undefined;
+    cur = cur[key];
+  }
+  return cur;
+}
+
+function setJsonPath(value, path, next) {
+  const keys = parseJsonPath(path);
+  if (!keys.length) return next;
+  let cur = value;
+  for (const key of keys.slice(0, -1)) cur = cur[key];
+  cur[keys.at(-1)] = next;
+  return value;
+}
+
 function isConnected() {
   return !!(state.mqttClient && state.connected);
 }
@@ -79,14 +163,83 @@ function parseHostname(url) {
   }
 }
 
+// Strips any user:pass@ from a broker URL before it is displayed or sent to the model.
+function redactUrl(url) {
+  try {
+    const u = new URL(url);
+    if (!u.username && !u.password) return url;
+    u.username = "";
+    u.password = "";
+    return u.toString();
+  } catch {
+    return url;
+  }
+}
+
+const SECRET_PARAMS = ["password"];
+
+function redactParams(params) {
+  if (!params || typeof params !== "object") return params;
+  const out = { ...params };
+  for (const key of SECRET_PARAMS) {
+    if (out[key]) out[key] = "••••";
+  }
+  if (typeof out.url === "string") out.url = redactUrl(out.url);
+  return out;
+}
+
+function formatTime(ts) {
+  const d = new Date(ts);
+  const hms = d.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit", second: "2-digit", hour12: false });
+  return `${hms}.${String(d.getMilliseconds()).padStart(3, "0")}`;
+}
+
 function formatBadgeCount(count) {
   return count > 999 ? "999+" : String(count);
 }
 
-function getNamespaceCount(prefix) {
-  return state.seenTopics
-    .filter(t => t.startsWith(prefix + "/"))
-    .reduce((sum, t) => sum + (state.topicMsgCounts[t] || 0), 0);
+function topicsUnder(path) {
+  return state.seenTopics.filter(t => t === path || t.startsWith(path + "/"));
+}
+
+function getNodeCount(path) {
+  return topicsUnder(path).reduce((sum, t) => sum + (state.topicMsgCounts[t] || 0), 0);
+}
+
+const RATE_WINDOW_MS = 5000;
+
+// Messages per second over the last RATE_WINDOW_MS, from the history buffer.
+function getTopicRate(topic, now = Date.now()) {
+  const hist = state.topicHistory[topic];
+  if (!hist) return 0;
+  const cutoff = now - RATE_WINDOW_MS;
+  let n = 0;
+  for (let i = hist.length - 1; i >= 0 && hist[i].ts >= cutoff; i--) n++;
+  return n / (RATE_WINDOW_MS / 1000);
+}
+
+// Rates for the whole topic tree from one pass over the history buffers:
+// `topics` maps each topic to its own rate, `nodes` maps every path to the
+// sum over the topics at or below it.
+function getTreeRates(now = Date.now()) {
+  const topics = new Map();
+  const nodes = new Map();
+  for (const topic of state.seenTopics) {
+    const rate = getTopicRate(topic, now);
+    if (!rate) continue;
+    topics.set(topic, rate);
+    let path = "";
+    for (const part of topic.split("/")) {
+      path = path ? `${path}/${part}` : part;
+      nodes.set(path, (nodes.get(path) || 0) + rate);
+    }
+  }
+  return { topics, nodes };
+}
+
+function formatRate(rate) {
+  if (!rate) return "";
+  return `${rate < 10 ? rate.toFixed(1) : Math.round(rate)}/s`;
 }
 
 function trackTopic(topic) {
@@ -136,6 +289,438 @@ function cancelReconnect() {
   state.reconnect = null;
 }
 
+// Broker connection settings (per URL, or from the active profile)
+
+const CONN_SETTING_KEYS = ["username", "password", "clientId", "keepalive", "clean", "protocolVersion"];
+
+function normalizeConnSettings(settings) {
+  const clean = {};
+  if (settings.username) clean.username = settings.username;
+  if (settings.password) clean.password = settings.password;
+  if (settings.clientId) clean.clientId = settings.clientId;
+  if (Number.isFinite(settings.keepalive)) clean.keepalive = settings.keepalive;
+  if (settings.clean === false) clean.clean = false;
+  if (settings.protocolVersion === 5) clean.protocolVersion = 5;
+  return clean;
+}
+
+function getBrokerSettings(url) {
+  return state.brokerSettings[url] || {};
+}
+
+function saveBrokerSettings(url, settings) {
+  const clean = normalizeConnSettings(settings);
+  if (Object.keys(clean).length) {
+    state.brokerSettings[url] = clean;
+  } else {
+    delete state.brokerSettings[url];
+  }
+  localStorage.setItem("webmcp-broker-settings", JSON.stringify(state.brokerSettings));
+}
+
+function getConnSettings(url) {
+  const profile = getActiveProfile();
+  return profile?.url === url ? profile : getBrokerSettings(url);
+}
+
+function saveConnSettings(url, settings) {
+  const profile = getActiveProfile();
+  if (profile?.url === url) {
+    for (const key of CONN_SETTING_KEYS) delete profile[key];
+    Object.assign(profile, normalizeConnSettings(settings));
+    saveProfiles();
+  } else {
+    saveBrokerSettings(url, settings);
+  }
+  updateConnButton();
+}
+
+function validateBrokerSettings(settings) {
+  if (settings.clean === false && !settings.clientId) {
+    throw new Error("Client ID is required when clean session is off");
+  }
+  if (settings.keepalive !== undefined && !(settings.keepalive >= 0 && settings.keepalive <= 65535)) {
+    throw new Error("Keepalive must be between 0 and 65535 seconds");
+  }
+}
+
+function buildConnectOptions(url) {
+  const s = getConnSettings(url);
+  const opts = { reconnectPeriod: 0 };
+  if (s.username) opts.username = s.username;
+  if (s.password) opts.password = s.password;
+  if (s.clientId) opts.clientId = s.clientId;
+  if (s.keepalive !== undefined) opts.keepalive = s.keepalive;
+  if (s.clean === false) opts.clean = false;
+  if (s.protocolVersion === 5) opts.protocolVersion = 5;
+  return opts;
+}
+
+// Connection profiles
+
+// Fixed ids so the active profile survives a reload before profiles are saved.
+const DEFAULT_PROFILES = [
+  { id: "default-hivemq", name: "HiveMQ", url: "wss://broker.hivemq.com:8884/mqtt", note: "public cloud" },
+  { id: "default-mosquitto", name: "test.mosquitto.org", url: "wss://test.mosquitto.org:8081", note: "public cloud" },
+  { id: "default-localhost", name: "localhost:9001", url: "ws://localhost:9001", note: "local only · make mqtt" },
+];
+
+const PROFILE_FIELDS = ["name", "url", "note", "topicPrefix", "subscriptions", ...CONN_SETTING_KEYS];
+
+function initProfiles() {
+  state.profiles ??= DEFAULT_PROFILES.map(p => ({ ...p }));
+  const profile = getActiveProfile();
+  if (!profile) {
+    state.activeProfileId = null;
+    return;
+  }
+  state.url = profile.url;
+  state.topicPrefix = profile.topicPrefix || "";
+}
+
+function saveProfiles() {
+  localStorage.setItem("webmcp-profiles", JSON.stringify(state.profiles));
+}
+
+function getActiveProfile() {
+  return state.profiles?.find(p => p.id === state.activeProfileId) || null;
+}
+
+function findProfile(nameOrId) {
+  const key = String(nameOrId).toLowerCase();
+  return state.profiles.find(p => p.id === nameOrId || p.name.toLowerCase() === key) || null;
+}
+
+function setActiveProfile(profile) {
+  state.activeProfileId = profile?.id || null;
+  if (profile) {
+    localStorage.setItem("webmcp-active-profile", profile.id);
+    state.topicPrefix = profile.topicPrefix || "";
+  } else {
+    localStorage.removeItem("webmcp-active-profile");
+    state.topicPrefix = localStorage.getItem("webmcp-topic-prefix") || "";
+  }
+  const prefixInput = $("topic-prefix-input");
+  if (prefixInput) prefixInput.value = state.topicPrefix;
+}
+
+// Keeps only known fields so imported files can't smuggle arbitrary keys into storage.
+function sanitizeProfile(data) {
+  if (!data || typeof data !== "object") throw new Error("Profile must be an object");
+  const name = String(data.name ?? "").trim();
+  const url = String(data.url ?? "").trim();
+  if (!name) throw new Error("Profile name is required");
+  if (!/^wss?:\/\//.test(url)) throw new Error(`Profile "${name}": URL must start with ws:// or wss://`);
+  const profile = { name, url, ...normalizeConnSettings(data) };
+  if (data.note) profile.note = String(data.note);
+  const prefix = String(data.topicPrefix ?? "").trim();
+  if (prefix) profile.topicPrefix = prefix.endsWith("/") ? prefix : prefix + "/";
+  const subs = Array.isArray(data.subscriptions) ? data.subscriptions.map(s => String(s).trim()).filter(Boolean) : [];
+  if (subs.length) profile.subscriptions = subs;
+  validateBrokerSettings(profile);
+  return profile;
+}
+
+function upsertProfile(data, id = null) {
+  const profile = sanitizeProfile(data);
+  const clash = state.profiles.find(p => p.name.toLowerCase() === profile.name.toLowerCase() && p.id !== id);
+  if (clash) throw new Error(`A profile named "${profile.name}" already exists`);
+  const existing = id && state.profiles.find(p => p.id === id);
+  if (existing) {
+    for (const key of PROFILE_FIELDS) delete existing[key];
+    Object.assign(existing, profile);
+  } else {
+    state.profiles.push({ id: newId(), ...profile });
+  }
+  saveProfiles();
+  if (existing && existing.id === state.activeProfileId) setActiveProfile(existing);
+  return existing || state.profiles[state.profiles.length - 1];
+}
+
+function deleteProfile(id) {
+  state.profiles = state.profiles.filter(p => p.id !== id);
+  saveProfiles();
+  if (state.activeProfileId === id) setActiveProfile(null);
+}
+
+function exportProfiles(includeSecrets) {
+  const profiles = state.profiles.map(({ id, ...p }) => {
+    if (!includeSecrets) delete p.password;
+    return p;
+  });
+  downloadText("mqtt-profiles.json", JSON.stringify({ version: 1, profiles }, null, 2), "application/json");
+}
+
+// Accepts either an exported file ({ version, profiles }) or a bare array.
+// Profiles whose name matches an existing one replace it.
+function importProfiles(json) {
+  const data = JSON.parse(json);
+  const list = Array.isArray(data) ? data : data?.profiles;
+  if (!Array.isArray(list)) throw new Error("Expected an array of profiles");
+  const incoming = list.map(sanitizeProfile);
+  for (const profile of incoming) {
+    const existing = state.profiles.find(p => p.name.toLowerCase() === profile.name.toLowerCase());
+    upsertProfile(profile, existing?.id);
+  }
+  return incoming.length;
+}
+
+function connectProfile(profile) {
+  setActiveProfile(profile);
+  $("url-input").value = profile.url;
+  updateConnButton();
+  connect(profile.url);
+}
+
+// MQTT topic matching
+
+// Matches a topic against a subscription filter per the MQTT spec: "+" is one
+// level, a trailing "#" is zero or more levels, and wildcards at the first
+// level never match topics starting with "$".
+function topicMatches(filter, topic) {
+  if (filter === topic) return true;
+  const f = filter.split("/");
+  const t = topic.split("/");
+  if (topic.startsWith("$") && (f[0] === "+" || f[0] === "#")) return false;
+  for (let i = 0; i < f.length; i++) {
+    if (f[i] === "#") return i === f.length - 1;
+    if (i >= t.length) return false;
+    if (f[i] !== "+" && f[i] !== t[i]) return false;
+  }
+  return f.length === t.length;
+}
+
+function isWildcard(filter) {
+  return /(^|\/)[+#](\/|$)/.test(filter);
+}
+
+// Payload codecs
+//
+// A codec turns raw payload bytes into { text, value } (text for display,
+// value for tool results) and back. Codecs with a `lib` load it lazily from
+// the CDN the first time a rule needs them.
+
+const CODECS = {};
+const _codecLibs = {};
+const _protoTypes = new Map();
+
+function registerCodec(name, codec) {
+  CODECS[name] = { name, structured: false, ...codec };
+}
+
+function bytesToHex(bytes) {
+  return Array.from(bytes, b => b.toString(16).padStart(2, "0")).join("");
+}
+
+function hexDump(bytes) {
+  const lines = [];
+  for (let off = 0; off < bytes.length; off += 16) {
+    const chunk = bytes.subarray(off, off + 16);
+    const hex = Array.from(chunk, b => b.toString(16).padStart(2, "0")).join(" ");
+    const ascii = Array.from(chunk, b => (b >= 32 && b < 127 ? String.fromCharCode(b) : ".")).join("");
+    lines.push(`${off.toString(16).padStart(8, "0")}  ${hex.padEnd(47)}  ${ascii}`);
+  }
+  return lines.join("\n") || "(empty)";
+}
+
+function hexToBytes(hex) {
+  const clean = hex.replace(/0x/gi, "").replace(/[\s,:]/g, "");
+  if (!/^(?:[0-9a-fA-F]{2})*$/.test(clean)) throw new Error("Payload is not valid hex");
+  return Uint8Array.from(clean.match(/../g) || [], h => parseInt(h, 16));
+}
+
+function bytesToBase64(bytes) {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin);
+}
+
+function base64ToBytes(b64) {
+  try {
+    return Uint8Array.from(atob(b64.trim()), c => c.charCodeAt(0));
+  } catch {
+    throw new Error("Payload is not valid base64");
+  }
+}
+
+// Makes decoded CBOR/MessagePack/Protobuf values JSON-serializable.
+function toJsonSafe(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (value instanceof Uint8Array) return bytesToHex(value);
+  if (ArrayBuffer.isView(value)) return Array.from(value);
+  if (value instanceof Map) return Object.fromEntries([...value].map(([k, v]) => [String(k), toJsonSafe(v)]));
+  if (value instanceof Set) return [...value].map(toJsonSafe);
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(toJsonSafe);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toJsonSafe(v)]));
+  }
+  return value;
+}
+
+function parseJsonPayload(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error("Payload must be JSON for this encoding");
+  }
+}
+
+function getProtoType(rule, lib) {
+  if (!rule?.proto || !rule.messageType) throw new Error("Protobuf rule needs a .proto file and message type");
+  const key = `${rule.id}:${rule.messageType}`;
+  if (!_protoTypes.has(key)) {
+    const { root } = lib.parse(rule.proto, { keepCase: true });
+    _protoTypes.set(key, root.lookupType(rule.messageType));
+  }
+  return _protoTypes.get(key);
+}
+
+registerCodec("utf8", {
+  label: "UTF-8 text",
+  decode: (bytes) => new TextDecoder().decode(bytes),
+  encode: (text) => text,
+});
+registerCodec("hex", {
+  label: "Hex",
+  decode: (bytes) => ({ text: hexDump(bytes), value: bytesToHex(bytes) }),
+  encode: (text) => hexToBytes(text),
+});
+registerCodec("base64", {
+  label: "Base64",
+  decode: (bytes) => bytesToBase64(bytes),
+  encode: (text) => base64ToBytes(text),
+});
+registerCodec("cbor", {
+  label: "CBOR",
+  structured: true,
+  lib: "https://cdn.jsdelivr.net/npm/cbor-x@1/+esm",
+  decode: (bytes, lib) => lib.decode(bytes),
+  encode: (text, lib) => lib.encode(parseJsonPayload(text)),
+});
+registerCodec("msgpack", {
+  label: "MessagePack",
+  structured: true,
+  lib: "https://cdn.jsdelivr.net/npm/@msgpack/msgpack@3/+esm",
+  decode: (bytes, lib) => lib.decode(bytes),
+  encode: (text, lib) => lib.encode(parseJsonPayload(text)),
+});
+registerCodec("protobuf", {
+  label: "Protobuf",
+  structured: true,
+  lib: "https://cdn.jsdelivr.net/npm/protobufjs@7/+esm",
+  decode: (bytes, lib, rule) => {
+    const type = getProtoType(rule, lib);
+    return type.toObject(type.decode(bytes), { longs: String, enums: String, bytes: String, defaults: true });
+  },
+  encode: (text, lib, rule) => {
+    const type = getProtoType(rule, lib);
+    const obj = parseJsonPayload(text);
+    const err = type.verify(obj);
+    if (err) throw new Error(`Protobuf: ${err}`);
+    return type.encode(type.fromObject(obj)).finish();
+  },
+});
+
+function ensureCodec(name) {
+  const codec = CODECS[name];
+  if (!codec) return Promise.reject(new Error(`Unknown encoding: ${name}`));
+  if (!codec.lib) return Promise.resolve(null);
+  _codecLibs[name] ??= import(codec.lib)
+    .then(mod => {
+      _codecLibs[name] = mod.default && !mod.decode && !mod.parse ? mod.default : mod;
+      return _codecLibs[name];
+    })
+    .catch(err => {
+      delete _codecLibs[name];
+      throw new Error(`Failed to load ${codec.label} codec: ${err.message}`);
+    });
+  return Promise.resolve(_codecLibs[name]);
+}
+
+function codecLib(name) {
+  const lib = _codecLibs[name];
+  return lib && typeof lib.then !== "function" ? lib : null;
+}
+
+function saveCodecRules() {
+  localStorage.setItem("webmcp-codec-rules", JSON.stringify(state.codecRules));
+  _protoTypes.clear();
+}
+
+// Exact-topic rules win over wildcard patterns; otherwise the first match in list order.
+function findCodecRule(topic) {
+  return state.codecRules.find(r => r.pattern === topic)
+    || state.codecRules.find(r => isWildcard(r.pattern) && topicMatches(r.pattern, topic))
+    || null;
+}
+
+function getTopicCodec(topic) {
+  const rule = findCodecRule(topic);
+  return { codec: rule?.codec || "utf8", rule };
+}
+
+function decodePayload(topic, bytes) {
+  const { codec: name, rule } = getTopicCodec(topic);
+  const codec = CODECS[name] || CODECS.utf8;
+  if (codec.lib && !codecLib(name)) {
+    ensureCodec(name).catch(err => toast(err.message, "error"));
+    return { text: `(${codec.label} decoder loading…)\n${hexDump(bytes)}`, value: bytesToHex(bytes), codec: name };
+  }
+  try {
+    const out = codec.decode(bytes, codecLib(name), rule);
+    if (codec.structured) {
+      const value = toJsonSafe(out);
+      return { text: JSON.stringify(value), value, codec: name };
+    }
+    if (typeof out === "string") return { text: out, value: out, codec: name };
+    return { ...out, codec: name };
+  } catch (err) {
+    return {
+      text: `(${codec.label} decode failed: ${err.message})\n${hexDump(bytes)}`,
+      value: { error: err.message, hex: bytesToHex(bytes) },
+      codec: name,
+    };
+  }
+}
+
+// Encodes a text payload for publishing. Structured encodings take JSON text.
+async function encodePayload(topic, text, name = getTopicCodec(topic).codec) {
+  const codec = CODECS[name];
+  if (!codec) throw new Error(`Unknown encoding: ${name}`);
+  const lib = await ensureCodec(name);
+  const rule = name === "protobuf" ? findProtobufRule(topic) : null;
+  return codec.encode(text, lib, rule);
+}
+
+function encodePayloadSync(topic, text, name = getTopicCodec(topic).codec) {
+  const codec = CODECS[name];
+  if (codec.lib && !codecLib(name)) throw new Error(`${codec.label} encoder is still loading`);
+  return codec.encode(text, codecLib(name), name === "protobuf" ? findProtobufRule(topic) : null);
+}
+
+function findProtobufRule(topic) {
+  const rule = findCodecRule(topic);
+  if (rule?.codec === "protobuf") return rule;
+  return state.codecRules.find(r => r.codec === "protobuf" && topicMatches(r.pattern, topic)) || null;
+}
+
+function setTopicCodec(topic, name) {
+  const existing = state.codecRules.find(r => r.pattern === topic);
+  if (name === "protobuf" && !existing?.proto) {
+    const template = findProtobufRule(topic);
+    if (!template) throw new Error("Add a Protobuf rule with a .proto file in Settings first");
+    state.codecRules = state.codecRules.filter(r => r !== existing);
+    state.codecRules.unshift({ ...template, id: newId(), pattern: topic });
+  } else if (existing) {
+    existing.codec = name;
+  } else {
+    state.codecRules.unshift({ id: newId(), pattern: topic, codec: name });
+  }
+  saveCodecRules();
+  if (CODECS[name].lib) ensureCodec(name).catch(err => toast(err.message, "error"));
+}
+
 // Connection
 
 function connect(url) {
@@ -152,9 +737,10 @@ function connect(url) {
   setStatusText("Connecting…");
   renderMainPlaceholder();
 
+  if (getActiveProfile() && getActiveProfile().url !== url) setActiveProfile(null);
   state.url = url;
   localStorage.setItem("webmcp-broker-url", url);
-  const client = mqtt.connect(url, { reconnectPeriod: 0 });
+  const client = mqtt.connect(url, buildConnectOptions(url));
   state.mqttClient = client;
 
   client.on("connect", () => {
@@ -167,41 +753,14 @@ function connect(url) {
     const prefix = state.topicPrefix;
     client.subscribe(prefix + "#");
     client.subscribe("devices/" + prefix + "#");
+    for (const filter of getActiveProfile()?.subscriptions || []) client.subscribe(filter);
     renderSidebar();
     renderMainPlaceholder();
   });
 
-  client.on("message", (topic, message) => {
-    const msg = message.toString();
-
-    if (topic.startsWith("devices/")) {
-      try {
-        const { topics } = JSON.parse(msg);
-        for (const t of topics) trackTopic(t);
-        if (!state.selected && state.seenTopics.length > 0) selectTopic(state.seenTopics[0]);
-      } catch {}
-      return;
-    }
-
-    trackTopic(topic);
-    state.topicMsgCounts[topic] = (state.topicMsgCounts[topic] || 0) + 1;
-    flashSidebarRow(topic);
-    updateSidebarBadge(topic);
-
-    if (state.topicListeners[topic]) {
-      for (const cb of state.topicListeners[topic]) cb(msg);
-    }
-
-    if (state.onceCallbacks[topic]?.length) {
-      for (const cb of state.onceCallbacks[topic].splice(0)) cb(msg);
-    }
-
-    if (state.watching === topic) showMsgCard(msg);
-
-    if (state.pinnedTopics[topic]) {
-      state.pinnedTopics[topic].lastMsg = msg;
-      updateWatchCard(topic);
-    }
+  client.on("message", (topic, message, packet) => {
+    recordSessionMessage(topic, message, packet);
+    handleMessage(topic, message, packet);
   });
 
   client.on("error", (err) => {
@@ -219,6 +778,39 @@ function connect(url) {
   });
 }
 
+function handleMessage(topic, message, packet) {
+  if (topic.startsWith(DEVICE_PREFIX) && handleDeviceMessage(topic, message, packet)) return;
+
+  const decoded = decodePayload(topic, message);
+  const msg = decoded.text;
+
+  trackTopic(topic);
+  state.topicMsgCounts[topic] = (state.topicMsgCounts[topic] || 0) + 1;
+  recordHistory(topic, decoded, packet);
+  recordPlotSample(topic, msg);
+  flashSidebarRow(topic);
+  updateSidebarBadge(topic);
+
+  // Listeners and once-callbacks are keyed by topic or MQTT filter and
+  // receive the concrete topic.
+  for (const [filter, listeners] of Object.entries(state.topicListeners)) {
+    if (!topicMatches(filter, topic)) continue;
+    for (const cb of listeners) cb(decoded.value, topic);
+  }
+
+  for (const [filter, callbacks] of Object.entries(state.onceCallbacks)) {
+    if (!callbacks.length || !topicMatches(filter, topic)) continue;
+    for (const cb of callbacks.splice(0)) cb(decoded.value, topic);
+  }
+
+  if (state.watching && topicMatches(state.watching, topic)) showMsgCard(msg, topic);
+
+  if (state.pinnedTopics[topic]) {
+    state.pinnedTopics[topic].lastMsg = msg;
+    updateWatchCard(topic);
+  }
+}
+
 function resetConnectionState() {
   state.connected = false;
   state.connecting = false;
@@ -228,6 +820,14 @@ function resetConnectionState() {
   state.onceCallbacks = {};
   state.topicListeners = {};
   state.topicMsgCounts = {};
+  state.topicHistory = {};
+  state.historyView = null;
+  state.plotSamples = {};
+  state.plotView = null;
+  state.devices = {};
+  _pendingDeviceStatus.clear();
+  clearDeviceTools();
+  syncPlotTicker();
   updateStatusDot("idle");
   $("connect-btn").textContent = "Connect";
   unpinAllTopics();
@@ -247,8 +847,12 @@ function updateStatusDot(status) {
 
 // Sidebar rendering
 
+// Replaces the topic panel, so its history and plot views go with it.
 function renderMainPlaceholder() {
   const main = $("main-panel");
+  state.historyView = null;
+  state.plotView = null;
+  syncPlotTicker();
   if (!state.connected) {
     const msg = state.connecting
       ? "Connecting…"
@@ -259,7 +863,7 @@ function renderMainPlaceholder() {
   main.innerHTML = `
     <div class="conn-summary">
       <div class="conn-summary-title">Connected</div>
-      <div class="conn-url">${escHtml(state.url)}</div>
+      <div class="conn-url">${escHtml(redactUrl(state.url))}</div>
       <div class="conn-stats">
         <div class="conn-stat">
           <span class="conn-stat-value">${state.seenTopics.length}</span>
@@ -272,23 +876,63 @@ function renderMainPlaceholder() {
 }
 
 function renderSidebar() {
+  renderDeviceList();
   renderTopicList();
-  const collapsed = state.sidebarCollapsed.topics;
-  const listEl = $("topics-list");
-  const btn = $("section-toggle-topics");
-  const chevron = btn?.parentElement?.querySelector(".sidebar-chevron");
-  if (listEl) listEl.hidden = collapsed;
-  if (btn) btn.setAttribute("aria-expanded", String(!collapsed));
-  if (chevron) chevron.classList.toggle("collapsed", collapsed);
+  for (const section of SIDEBAR_SECTIONS) {
+    const collapsed = !!state.sidebarCollapsed[section];
+    const listEl = $(`${section}-list`);
+    const btn = $(`section-toggle-${section}`);
+    const chevron = btn?.parentElement?.querySelector(".sidebar-chevron");
+    if (listEl) listEl.hidden = collapsed;
+    if (btn) btn.setAttribute("aria-expanded", String(!collapsed));
+    if (chevron) chevron.classList.toggle("collapsed", collapsed);
+  }
+}
+
+function saveSidebarCollapsed() {
+  localStorage.setItem("webmcp-sidebar-collapsed", JSON.stringify(state.sidebarCollapsed));
+}
+
+function filterTopics(topics, filter) {
+  if (!filter) return topics;
+  if (isWildcard(filter)) return topics.filter(t => topicMatches(filter, t));
+  const needle = filter.toLowerCase();
+  return topics.filter(t => t.toLowerCase().includes(needle));
+}
+
+// Builds a tree keyed by topic level. Chains of single-child levels that are
+// not topics themselves are merged into one node (e.g. "devices/d4e9f4a2a044").
+function buildTopicTree(topics) {
+  const root = { label: "", path: "", topic: null, children: new Map() };
+  for (const topic of [...topics].sort()) {
+    let node = root;
+    for (const part of topic.split("/")) {
+      const path = node.path ? `${node.path}/${part}` : part;
+      if (!node.children.has(part)) node.children.set(part, { label: part, path, topic: null, children: new Map() });
+      node = node.children.get(part);
+    }
+    node.topic = topic;
+  }
+  const compress = (node) => {
+    for (const [key, child] of node.children) {
+      let merged = child;
+      while (!merged.topic && merged.children.size === 1) {
+        const [only] = merged.children.values();
+        merged = { ...only, label: `${merged.label}/${only.label}` };
+      }
+      node.children.set(key, merged);
+      compress(merged);
+    }
+  };
+  compress(root);
+  return root;
 }
 
 function renderTopicList() {
   const container = $("topics-list");
   container.innerHTML = "";
 
-  const filtered = state.filter
-    ? state.seenTopics.filter(t => t.toLowerCase().includes(state.filter.toLowerCase()))
-    : state.seenTopics;
+  const filtered = filterTopics(state.seenTopics, state.filter.trim());
 
   if (!filtered.length) {
     if (!state.connected) return;
@@ -299,42 +943,79 @@ function renderTopicList() {
     return;
   }
 
-  const groups = {};
-  const flat = [];
-  for (const topic of filtered) {
-    const slash = topic.indexOf("/");
-    if (slash === -1) {
-      flat.push(topic);
-    } else {
-      const prefix = topic.slice(0, slash);
-      if (!groups[prefix]) groups[prefix] = [];
-      groups[prefix].push(topic);
-    }
-  }
+  const rates = getTreeRates();
+  const tree = buildTopicTree(filtered);
+  for (const child of tree.children.values()) renderTreeNode(container, child, 0, rates);
+}
 
-  function makeTopicRow(topic, displayText, indented) {
-    const isActive = state.selected?.name === topic;
-    const count = state.topicMsgCounts[topic] || 0;
-    const isPinned = !!state.pinnedTopics[topic];
+// Drops saved collapse state for tree nodes that no longer have topics under them.
+function pruneNodeCollapse() {
+  for (const key of Object.keys(state.sidebarCollapsed)) {
+    if (!key.startsWith("node:")) continue;
+    const path = key.slice("node:".length);
+    if (!state.seenTopics.some(t => t.startsWith(path + "/"))) delete state.sidebarCollapsed[key];
+  }
+}
 
-    const row = document.createElement("div");
-    row.className = "sidebar-item-row";
-    row.dataset.topic = topic;
-
-    const btn = document.createElement("button");
-    btn.className = "sidebar-item";
-    if (isActive) btn.classList.add("active");
-    if (indented) btn.classList.add("sidebar-item-indented");
-    btn.textContent = displayText;
-    btn.title = topic;
-    btn.addEventListener("click", () => selectTopic(topic));
-
-    const badge = document.createElement("span");
-    badge.className = "sidebar-msg-count";
-    badge.dataset.topic = topic;
-    badge.textContent = formatBadgeCount(count);
-    badge.hidden = count === 0;
+function renderTreeNode(container, node, depth, rates) {
+  const hasChildren = node.children.size > 0;
+  const key = `node:${node.path}`;
+  const isCollapsed = hasChildren && !!state.sidebarCollapsed[key];
+  const topic = node.topic;
+  const count = topic && !hasChildren ? state.topicMsgCounts[topic] || 0 : getNodeCount(node.path);
+  const rate = (topic && !hasChildren ? rates.topics : rates.nodes).get(node.path) || 0;
+
+  const row = document.createElement("div");
+  row.className = "sidebar-item-row sidebar-tree-row";
+  row.style.setProperty("--depth", depth);
+  if (topic) row.dataset.topic = topic;
+
+  const toggle = () => {
+    state.sidebarCollapsed[key] = !state.sidebarCollapsed[key];
+    pruneNodeCollapse();
+    saveSidebarCollapsed();
+    renderTopicList();
+  };
+
+  if (hasChildren) {
+    const chevronBtn = document.createElement("button");
+    chevronBtn.className = "sidebar-tree-toggle";
+    chevronBtn.setAttribute("aria-expanded", String(!isCollapsed));
+    chevronBtn.setAttribute("aria-label", `${isCollapsed ? "Expand" : "Collapse"} ${node.path}`);
+    chevronBtn.innerHTML = `<span class="sidebar-chevron${isCollapsed ? " collapsed" : ""}"></span>`;
+    chevronBtn.addEventListener("click", toggle);
+    row.appendChild(chevronBtn);
+  } else {
+    const spacer = document.createElement("span");
+    spacer.className = "sidebar-tree-spacer";
+    row.appendChild(spacer);
+  }
 
+  const btn = document.createElement("button");
+  btn.className = "sidebar-item";
+  if (!topic) btn.classList.add("sidebar-tree-folder");
+  if (topic && state.selected?.name === topic) btn.classList.add("active");
+  btn.textContent = hasChildren && !topic ? node.label + "/" : node.label;
+  btn.title = node.path;
+  btn.addEventListener("click", () => (topic ? selectTopic(topic) : toggle()));
+  row.appendChild(btn);
+
+  const rateEl = document.createElement("span");
+  rateEl.className = "sidebar-rate";
+  rateEl.dataset.node = node.path;
+  rateEl.dataset.leaf = String(!hasChildren);
+  rateEl.textContent = formatRate(rate);
+  row.appendChild(rateEl);
+
+  const badge = document.createElement("span");
+  badge.className = hasChildren ? "sidebar-msg-count sidebar-ns-badge" : "sidebar-msg-count";
+  badge.dataset.node = node.path;
+  badge.textContent = formatBadgeCount(count);
+  badge.hidden = count === 0;
+  row.appendChild(badge);
+
+  if (topic) {
+    const isPinned = !!state.pinnedTopics[topic];
     const pinBtn = document.createElement("button");
     pinBtn.className = isPinned ? "pin-btn pinned" : "pin-btn";
     pinBtn.title = isPinned ? "Unpin" : "Pin to watch strip";
@@ -344,57 +1025,17 @@ function renderTopicList() {
       e.stopPropagation();
       togglePin(topic);
     });
-
-    row.appendChild(btn);
-    row.appendChild(badge);
     row.appendChild(pinBtn);
-    return row;
   }
 
-  for (const [prefix, topics] of Object.entries(groups)) {
-    if (topics.length === 1) {
-      container.appendChild(makeTopicRow(topics[0], topics[0], false));
-      continue;
-    }
-
-    const isCollapsed = !!state.sidebarCollapsed[`ns:${prefix}`];
-    const groupCount = getNamespaceCount(prefix);
-
-    const header = document.createElement("button");
-    header.className = "sidebar-ns-header";
-    header.setAttribute("aria-expanded", String(!isCollapsed));
-
-    const chevron = document.createElement("span");
-    chevron.className = isCollapsed ? "sidebar-chevron collapsed" : "sidebar-chevron";
-
-    header.appendChild(chevron);
-    header.appendChild(document.createTextNode(prefix + "/"));
-
-    const nsBadge = document.createElement("span");
-    nsBadge.className = "sidebar-msg-count sidebar-ns-badge";
-    nsBadge.dataset.ns = prefix;
-    nsBadge.textContent = formatBadgeCount(groupCount);
-    nsBadge.hidden = groupCount === 0;
-    header.appendChild(nsBadge);
-
-    header.addEventListener("click", () => {
-      state.sidebarCollapsed[`ns:${prefix}`] = !state.sidebarCollapsed[`ns:${prefix}`];
-      renderTopicList();
-    });
-
-    const itemsEl = document.createElement("div");
-    itemsEl.hidden = isCollapsed;
-    for (const topic of topics) {
-      itemsEl.appendChild(makeTopicRow(topic, topic.slice(prefix.length + 1), true));
-    }
-
-    container.appendChild(header);
-    container.appendChild(itemsEl);
-  }
+  container.appendChild(row);
+  if (!hasChildren) return;
 
-  for (const topic of flat) {
-    container.appendChild(makeTopicRow(topic, topic, false));
-  }
+  const group = document.createElement("div");
+  group.setAttribute("role", "group");
+  group.hidden = isCollapsed;
+  for (const child of node.children.values()) renderTreeNode(group, child, depth + 1, rates);
+  container.appendChild(group);
 }
 
 function flashSidebarRow(topic) {
@@ -406,21 +1047,24 @@ function flashSidebarRow(topic) {
   row.addEventListener("animationend", () => row.classList.remove("flash-new"), { once: true });
 }
 
+// Updates the badge of the topic's own row and of every ancestor node.
 function updateSidebarBadge(topic) {
-  const count = state.topicMsgCounts[topic] || 0;
-  const badge = document.querySelector(`.sidebar-msg-count[data-topic="${CSS.escape(topic)}"]`);
-  if (badge) {
+  const parts = topic.split("/");
+  for (let i = parts.length; i >= 1; i--) {
+    const path = parts.slice(0, i).join("/");
+    const badge = document.querySelector(`.sidebar-msg-count[data-node="${CSS.escape(path)}"]`);
+    if (!badge) continue;
+    const count = badge.classList.contains("sidebar-ns-badge") ? getNodeCount(path) : state.topicMsgCounts[path] || 0;
     badge.textContent = formatBadgeCount(count);
-    badge.hidden = false;
+    badge.hidden = count === 0;
   }
-  const slash = topic.indexOf("/");
-  if (slash !== -1) {
-    const prefix = topic.slice(0, slash);
-    const nsBadge = document.querySelector(`.sidebar-ns-badge[data-ns="${CSS.escape(prefix)}"]`);
-    if (nsBadge) {
-      nsBadge.textContent = formatBadgeCount(getNamespaceCount(prefix));
-      nsBadge.hidden = false;
-    }
+}
+
+function refreshSidebarRates() {
+  if (!state.connected) return;
+  const { topics, nodes } = getTreeRates();
+  for (const el of document.querySelectorAll(".sidebar-rate[data-node]")) {
+    el.textContent = formatRate((el.dataset.leaf === "true" ? topics : nodes).get(el.dataset.node));
   }
 }
 
@@ -430,19 +1074,35 @@ function selectTopic(topic) {
   stopWatching();
   stopContinuousPublish();
   state.selected = { name: topic };
+  state.historyView = { topic, paused: false, frozen: null, cursor: null, diff: false };
+  state.plotView = { topic, paused: false, pausedAt: null, windowSec: PLOT_DEFAULT_WINDOW_SEC };
   renderSidebar();
   renderTopicPanel(topic);
 }
 
 // Topic panel
 
+function codecOptions(selected) {
+  return Object.values(CODECS)
+    .map(c => `<option value="${c.name}"${c.name === selected ? " selected" : ""}>${escHtml(c.label)}</option>`)
+    .join("");
+}
+
 function renderTopicPanel(topic) {
   const main = $("main-panel");
+  const { codec } = getTopicCodec(topic);
+  if (CODECS[codec].lib) ensureCodec(codec).catch(err => toast(err.message, "error"));
 
   main.innerHTML = `
     <div class="detail-header">
       <div class="detail-title">${escHtml(topic)}</div>
-      <div class="detail-type">MQTT topic</div>
+      <div class="detail-type-row">
+        <span class="detail-type">${isWildcard(topic) ? "MQTT filter" : "MQTT topic"}</span>
+        <label class="detail-codec">
+          Decode as
+          <select class="input-field codec-select" id="topic-codec" aria-label="Payload decoder">${codecOptions(codec)}</select>
+        </label>
+      </div>
     </div>
 
     <div>
@@ -450,15 +1110,85 @@ function renderTopicPanel(topic) {
       <div class="data-card empty" id="last-msg">No data yet</div>
     </div>
 
-    <div class="controls-row">
-      <button class="btn btn-sm" id="btn-subscribe-once">Subscribe once</button>
-      <button class="btn btn-sm" id="btn-watch">Watch</button>
-      <button class="btn btn-sm" id="btn-stop-watch" hidden>Stop</button>
-      <span class="watch-indicator" id="watch-indicator" hidden>
-        <span class="watch-dot"></span> Watching
-      </span>
+    <div>
+      <div class="section-label">History <span class="history-count" id="history-count"></span></div>
+      <div class="controls-row history-controls">
+        <button class="btn btn-sm" id="btn-history-pause">Pause</button>
+        <button class="btn btn-sm" id="btn-history-prev" title="Older message" aria-label="Older message">◀</button>
+        <button class="btn btn-sm" id="btn-history-next" title="Newer message" aria-label="Newer message">▶</button>
+        <label class="repeat-label">
+          <input type="checkbox" class="repeat-check" id="history-diff">
+          Diff vs previous
+        </label>
+      </div>
+      <div class="history-list" id="history-list" role="listbox" aria-label="Message history"></div>
+      <div class="data-card history-detail empty" id="history-detail">No messages yet</div>
     </div>
 
+    <div>
+      <div class="section-label">Plot</div>
+      <div class="controls-row plot-controls">
+        <input type="text" class="input-field plot-paths-input" id="plot-paths" placeholder="JSON paths, e.g. imu.ax, battery — or $ for a numeric payload" spellcheck="false" aria-label="JSON paths to plot">
+        <button class="btn btn-sm" id="btn-plot-apply">Plot</button>
+      </div>
+      <div class="plot-suggest" id="plot-suggest"></div>
+      <div class="plot-wrap" id="plot-wrap" hidden>
+        <div class="controls-row plot-controls">
+          <button class="btn btn-sm" id="btn-plot-pause">Pause</button>
+          <label class="repeat-label" for="plot-window">Window</label>
+          <select class="input-field plot-window-select" id="plot-window">
+            ${PLOT_WINDOWS_SEC.map(w => `<option value="${w}">${w < 60 ? w + "s" : w / 60 + "m"}</option>`).join("")}
+          </select>
+          <button class="btn btn-sm" id="btn-plot-csv">CSV</button>
+          <button class="btn btn-sm" id="btn-plot-clear">Clear</button>
+        </div>
+        <canvas class="plot-canvas" id="plot-canvas" height="160" aria-label="Live plot"></canvas>
+        <div class="plot-legend" id="plot-legend"></div>
+      </div>
+    </div>
+
+    <div class="controls-row">
+      <button class="btn btn-sm" id="btn-subscribe-once">Subscribe once</button>
+      <button class="btn btn-sm" id="btn-watch">Watch</button>
+      <button class="btn btn-sm" id="btn-stop-watch" hidden>Stop</button>
+      <span class="watch-indicator" id="watch-indicator" hidden>
+        <span class="watch-dot"></span> Watching
+      </span>
+    </div>
+
+    ${isWildcard(topic) ? "" : publishSectionHtml(codec)}
+  `;
+
+  $("topic-codec").addEventListener("change", (e) => {
+    try {
+      setTopicCodec(topic, e.target.value);
+      if ($("publish-encoding")) $("publish-encoding").value = e.target.value;
+      renderCodecRules();
+      toast(`Decoding ${topic} as ${CODECS[e.target.value].label} for new messages`, "ok");
+    } catch (err) {
+      e.target.value = getTopicCodec(topic).codec;
+      toast(err.message, "error");
+    }
+  });
+  $("btn-history-pause").addEventListener("click", () => setHistoryPaused(!state.historyView.paused));
+  $("btn-history-prev").addEventListener("click", () => stepHistory(-1));
+  $("btn-history-next").addEventListener("click", () => stepHistory(1));
+  $("history-diff").addEventListener("change", (e) => {
+    state.historyView.diff = e.target.checked;
+    renderHistory();
+  });
+  renderHistory();
+  initPlotPanel(topic);
+
+  $("btn-subscribe-once").addEventListener("click", () => doSubscribeOnce(topic));
+  $("btn-watch").addEventListener("click", () => startWatching(topic));
+  $("btn-stop-watch").addEventListener("click", stopWatching);
+  // Filters (+, #) can be watched but never published to.
+  if (!isWildcard(topic)) initPublishSection(topic);
+}
+
+function publishSectionHtml(codec) {
+  return `
     <div class="divider-label">Publish</div>
 
     <div class="input-group" id="publish-history-group" style="display:none">
@@ -471,6 +1201,43 @@ function renderTopicPanel(topic) {
       <textarea class="textarea-field" id="publish-msg" rows="3" placeholder='true'></textarea>
     </div>
 
+    <div class="controls-row publish-opts-row">
+      <label class="repeat-label" for="publish-encoding">Encode as</label>
+      <select class="input-field codec-select" id="publish-encoding">${codecOptions(codec)}</select>
+      <label class="repeat-label" for="publish-qos">QoS</label>
+      <select class="input-field qos-select" id="publish-qos">
+        <option value="0">0</option>
+        <option value="1">1</option>
+        <option value="2">2</option>
+      </select>
+      <label class="repeat-label">
+        <input type="checkbox" class="repeat-check" id="publish-retain">
+        Retain
+      </label>
+    </div>
+
+    <details class="publish-props" id="publish-props">
+      <summary class="publish-props-summary">MQTT 5 properties${isMqtt5() ? "" : ' <span class="publish-props-note">— requires an MQTT 5 connection</span>'}</summary>
+      <div class="publish-props-grid">
+        <div class="input-group">
+          <label class="input-label" for="publish-content-type">Content type</label>
+          <input type="text" class="input-field" id="publish-content-type" placeholder="application/json" spellcheck="false">
+        </div>
+        <div class="input-group">
+          <label class="input-label" for="publish-response-topic">Response topic</label>
+          <input type="text" class="input-field" id="publish-response-topic" spellcheck="false">
+        </div>
+        <div class="input-group">
+          <label class="input-label" for="publish-expiry">Message expiry (s)</label>
+          <input type="number" class="input-field" id="publish-expiry" min="0" step="1">
+        </div>
+        <div class="input-group">
+          <label class="input-label" for="publish-user-props">User properties <span style="color:var(--text-muted);font-weight:400">— key=value per line</span></label>
+          <textarea class="textarea-field" id="publish-user-props" rows="2" spellcheck="false"></textarea>
+        </div>
+      </div>
+    </details>
+
     <div class="controls-row">
       <button class="btn btn-primary btn-sm" id="btn-publish">Publish</button>
     </div>
@@ -484,10 +1251,9 @@ function renderTopicPanel(topic) {
       <span class="repeat-unit">Hz</span>
     </div>
   `;
+}
 
-  $("btn-subscribe-once").addEventListener("click", () => doSubscribeOnce(topic));
-  $("btn-watch").addEventListener("click", () => startWatching(topic));
-  $("btn-stop-watch").addEventListener("click", stopWatching);
+function initPublishSection(topic) {
   $("btn-publish").addEventListener("click", () => doPublish(topic));
   $("publish-msg").addEventListener("keydown", (e) => {
     if ((e.metaKey || e.ctrlKey) && e.key === "Enter") {
@@ -541,14 +1307,287 @@ function renderPublishHistory(topic) {
   }
 }
 
+// Reads the Publish section's QoS / retain / MQTT 5 fields into mqtt.js publish options.
+function readPanelPublishOptions() {
+  const expiry = $("publish-expiry")?.value.trim();
+  const userProps = {};
+  for (const line of ($("publish-user-props")?.value || "").split("\n")) {
+    if (!line.trim()) continue;
+    const eq = line.indexOf("=");
+    if (eq <= 0) throw new Error(`User property "${line.trim()}" must be key=value`);
+    userProps[line.slice(0, eq).trim()] = line.slice(eq + 1).trim();
+  }
+  return buildPublishOptions({
+    qos: Number($("publish-qos")?.value || 0),
+    retain: !!$("publish-retain")?.checked,
+    content_type: $("publish-content-type")?.value.trim() || undefined,
+    response_topic: $("publish-response-topic")?.value.trim() || undefined,
+    message_expiry: expiry ? Number(expiry) : undefined,
+    user_properties: userProps,
+  });
+}
+
+// Safety limits
+//
+// Per-topic rules ({pattern, schema, clamps: [{path, min, max}], maxRate,
+// maxSequenceSec}) checked for every manual, continuous and AI publish. Clamps
+// pull numbers back into range; a schema mismatch, rate overrun or overlong
+// sequence throws a SafetyError instead of publishing.
+
+function safetyError(message) {
+  return Object.assign(new Error(message), { name: "SafetyError" });
+}
+
+function saveSafetyRules() {
+  localStorage.setItem("webmcp-safety-rules", JSON.stringify(state.safetyRules));
+  _rateBuckets.clear();
+}
+
+function findSafetyRule(topic) {
+  return state.safetyRules.find(r => r.pattern === topic)
+    || state.safetyRules.find(r => isWildcard(r.pattern) && topicMatches(r.pattern, topic))
+    || null;
+}
+
+function schemaTypeMatches(type, value) {
+  switch (type) {
+    case "integer": return Number.isInteger(value);
+    case "number":  return typeof value === "number" && Number.isFinite(value);
+    case "array":   return Array.isArray(value);
+    case "object":  return value !== null && typeof value === "object" && !Array.isArray(value);
+    case "null":    return value === null;
+    default:        return typeof value === type;
+  }
+}
+
+// Validates the commonly used JSON Schema keywords (type, enum, const, numeric
+// and length bounds, pattern, required, properties, additionalProperties,
+// items). Returns a list of "path: problem" strings; empty means valid.
+function validateSchema(schema, value, path = "$") {
+  const errors = [];
+  if (!schema || typeof schema !== "object") return errors;
+  const fail = (msg) => errors.push(`${path}: ${msg}`);
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some(t => schemaTypeMatches(t, value))) {
+      fail(`expected ${types.join(" or ")}`);
+      return errors;
+    }
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.some(v => JSON.stringify(v) === JSON.stringify(value))) {
+    fail(`must be one of ${JSON.stringify(schema.enum)}`);
+  }
+  if ("const" in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail(`must be > ${schema.exclusiveMinimum}`);
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) fail(`must be < ${schema.exclusiveMaximum}`);
+  }
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail(`must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`must match /${schema.pattern}/`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+    if (schema.items && typeof schema.items === "object") {
+      value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${path}[${i}]`)));
+    }
+  } else if (value !== null && typeof value === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) fail(`missing required property "${key}"`);
+    }
+    const props = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (props[key]) errors.push(...validateSchema(props[key], child, `${path}.${key}`));
+      else if (schema.additionalProperties === false) fail(`unexpected property "${key}"`);
+    }
+  }
+  return errors;
+}
+
+// Applies the topic's clamps and schema. Returns the (possibly rewritten)
+// payload text and a description of each clamp applied.
+function applySafetyLimits(topic, text) {
+  const rule = findSafetyRule(topic);
+  if (!rule) return { payload: text, clamped: [] };
+  let value = parsePayload(text);
+  const clamped = [];
+  for (const { path = "", min, max } of rule.clamps || []) {
+    const current = getJsonPath(value, path);
+    if (typeof current !== "number") continue;
+    const next = Math.min(max ?? Infinity, Math.max(min ?? -Infinity, current));
+    if (next === current) continue;
+    value = setJsonPath(value, path, next);
+    clamped.push(`${path || "value"}: ${current} → ${next}`);
+  }
+  if (rule.schema) {
+    const errors = validateSchema(rule.schema, value);
+    if (errors.length) throw safetyError(`Payload for ${topic} violates safety rule "${rule.pattern}": ${errors.join("; ")}`);
+  }
+  const payload = !clamped.length ? text : typeof value === "string" ? value : JSON.stringify(value);
+  return { payload, clamped };
+}
+
+// Token bucket per topic: bursts up to maxRate messages, refilled at maxRate/s.
+const _rateBuckets = new Map();
+
+function checkPublishRate(topic) {
+  const rule = findSafetyRule(topic);
+  if (!rule?.maxRate) return;
+  const now = performance.now();
+  const bucket = _rateBuckets.get(topic) || { tokens: rule.maxRate, ts: now };
+  bucket.tokens = Math.min(rule.maxRate, bucket.tokens + ((now - bucket.ts) / 1000) * rule.maxRate);
+  bucket.ts = now;
+  _rateBuckets.set(topic, bucket);
+  if (bucket.tokens < 1) throw safetyError(`Publishing to ${topic} exceeds the max rate of ${rule.maxRate} msg/s (rule "${rule.pattern}")`);
+  bucket.tokens -= 1;
+}
+
+function checkSequenceDuration(topic, durations) {
+  const rule = findSafetyRule(topic);
+  if (!rule?.maxSequenceSec) return;
+  const total = durations.reduce((sum, d) => sum + (Number(d) || 0), 0);
+  if (total > rule.maxSequenceSec) {
+    throw safetyError(`Sequence on ${topic} lasts ${total}s, over the ${rule.maxSequenceSec}s limit (rule "${rule.pattern}")`);
+  }
+}
+
+function describeSafetyRule(rule) {
+  const parts = [];
+  if (rule.schema) parts.push("schema");
+  if (rule.clamps?.length) parts.push(rule.clamps.map(c => `${c.path || "value"} ${c.min ?? "-∞"}..${c.max ?? "∞"}`).join(", "));
+  if (rule.maxRate) parts.push(`≤${rule.maxRate}/s`);
+  if (rule.maxSequenceSec) parts.push(`seq ≤${rule.maxSequenceSec}s`);
+  return parts.join(" · ");
+}
+
+// Emergency stop
+//
+// Engaging cancels everything that could still move hardware (continuous
+// publish, running tool handlers, broker replays, the chat stream), then sends
+// the configured safe-state payloads. Publishing stays blocked, across reloads,
+// until the user re-arms.
+
+function assertArmed() {
+  if (state.estopEngaged) throw safetyError("Emergency stop engaged — re-arm the dashboard before publishing");
+}
+
+// Signal for long-running handlers; aborted when the E-stop is engaged.
+function haltSignal() {
+  return state.haltCtrl.signal;
+}
+
+function engageEmergencyStop() {
+  state.estopEngaged = true;
+  localStorage.setItem("webmcp-estop-engaged", "1");
+  state.haltCtrl.abort(safetyError("Cancelled by emergency stop"));
+  stopContinuousPublish();
+  stopReplay();
+  chatState.abortCtrl?.abort();
+
+  let sent = 0;
+  for (const { topic, payload } of state.estopActions) {
+    if (!isConnected()) break;
+    state.mqttClient.publish(topic, payload, { qos: 1 });
+    sent++;
+  }
+  renderEstop();
+  if (state.estopActions.length && sent < state.estopActions.length) {
+    toast("Emergency stop: not connected — safe-state payloads were not sent", "error", 6000);
+  } else {
+    toast(`Emergency stop engaged${sent ? ` · ${sent} safe-state message${sent === 1 ? "" : "s"} sent` : ""}`, "error", 6000);
+  }
+}
+
+function rearmEmergencyStop() {
+  state.estopEngaged = false;
+  localStorage.removeItem("webmcp-estop-engaged");
+  state.haltCtrl = new AbortController();
+  renderEstop();
+  toast("Re-armed", "ok");
+}
+
+function renderEstop() {
+  $("estop-banner").hidden = !state.estopEngaged;
+  $("estop-btn").setAttribute("aria-pressed", String(state.estopEngaged));
+}
+
+// Safe-state lines are "topic payload"; the payload is everything after the first space.
+function parseEstopActions(text) {
+  return text.split("\n").map(l => l.trim()).filter(Boolean).map((line) => {
+    const idx = line.search(/\s/);
+    if (idx === -1) throw new Error(`Missing payload in "${line}" — use: topic payload`);
+    return { topic: line.slice(0, idx), payload: line.slice(idx).trim() };
+  });
+}
+
+function initEmergencyStop() {
+  $("estop-btn").addEventListener("click", engageEmergencyStop);
+  $("estop-rearm").addEventListener("click", rearmEmergencyStop);
+  const input = $("estop-actions");
+  input.value = state.estopActions.map(a => `${a.topic} ${a.payload}`).join("\n");
+  $("estop-actions-save").addEventListener("click", () => {
+    try {
+      state.estopActions = parseEstopActions(input.value);
+    } catch (err) {
+      toast(err.message, "error");
+      return;
+    }
+    localStorage.setItem("webmcp-estop-actions", JSON.stringify(state.estopActions));
+    toast(`${state.estopActions.length} safe-state message${state.estopActions.length === 1 ? "" : "s"} saved`, "ok");
+  });
+  renderEstop();
+}
+
 // Continuous publish
 
 function startContinuousPublish(topic, hz) {
   stopContinuousPublish();
+  let opts;
+  try {
+    assertArmed();
+    opts = readPanelPublishOptions();
+  } catch (err) {
+    toast(err.message, "error");
+    const cb = $("repeat-checkbox");
+    if (cb) cb.checked = false;
+    return;
+  }
+  const maxRate = findSafetyRule(topic)?.maxRate;
+  if (maxRate && hz > maxRate) {
+    toast(`Repeat rate ${hz} Hz exceeds the ${maxRate} msg/s limit for ${topic}`, "error");
+    const cb = $("repeat-checkbox");
+    if (cb) cb.checked = false;
+    return;
+  }
+  const encoding = $("publish-encoding")?.value || "utf8";
+  ensureCodec(encoding).catch(err => toast(err.message, "error"));
   const interval = Math.max(50, Math.round(1000 / hz));
+  let clampNotified = false;
   const timer = setInterval(() => {
-    const payload = $("publish-msg")?.value || "";
-    state.mqttClient?.publish(topic, payload);
+    const text = $("publish-msg")?.value || "";
+    let data;
+    try {
+      const { payload, clamped } = applySafetyLimits(topic, text);
+      if (clamped.length && !clampNotified) {
+        clampNotified = true;
+        toast(`Clamped ${clamped.join(", ")}`, "warn");
+      }
+      data = encodePayloadSync(topic, payload, encoding);
+      checkPublishRate(topic);
+    } catch (err) {
+      if (err.name !== "SafetyError" && CODECS[encoding].lib && !codecLib(encoding)) return;
+      stopContinuousPublish();
+      toast(`Repeat stopped: ${err.message}`, "error");
+      return;
+    }
+    state.mqttClient?.publish(topic, data, opts);
   }, interval);
   state.continuousPublish = { timer };
 }
@@ -568,9 +1607,9 @@ async function doSubscribeOnce(topic) {
   btn.disabled = true;
   btn.textContent = "Waiting…";
   try {
-    const msg = await subscribeOnce(topic, 5000);
-    showMsgCard(msg);
-    toast("Message received", "ok");
+    const { topic: received, payload } = await subscribeOnce(topic, 5000);
+    showMsgCard(payload, received);
+    toast(received === topic ? "Message received" : `Message received on ${received}`, "ok");
   } catch (err) {
     toast(String(err), "error");
   } finally {
@@ -600,142 +1639,1296 @@ function stopWatching() {
   setWatchUI(false);
 }
 
-function showMsgCard(msg) {
+// `topic` is the concrete topic; it is shown when the panel is for a wildcard filter.
+function showMsgCard(msg, topic) {
   const card = $("last-msg");
   if (!card) return;
   card.className = "data-card";
-  card.textContent = prettyJson(msg);
+  const text = typeof msg === "string" ? prettyJson(msg) : JSON.stringify(msg, null, 2);
+  if (topic && topic !== state.selected?.name) {
+    card.innerHTML = `<div class="data-card-topic">${escHtml(topic)}</div>${escHtml(text)}`;
+  } else {
+    card.textContent = text;
+  }
 }
 
-function doPublish(topic) {
+async function doPublish(topic) {
   const payload = $("publish-msg").value;
   if (!payload) {
     toast("Enter a payload to publish", "error");
     return;
   }
+  let opts;
+  try {
+    opts = readPanelPublishOptions();
+  } catch (err) {
+    toast(err.message, "error");
+    return;
+  }
   pushPublishHistory(topic, payload);
   renderPublishHistory(topic);
-  state.mqttClient.publish(topic, payload);
-  toast("Published", "ok");
+  try {
+    const safe = applySafetyLimits(topic, payload);
+    if (safe.clamped.length) toast(`Clamped ${safe.clamped.join(", ")}`, "warn");
+    const data = await encodePayload(topic, safe.payload, $("publish-encoding").value);
+    const { ack } = await publishMessage(topic, data, opts);
+    toast(ack === "none" ? "Published" : `Published · ${ack.toUpperCase()}`, "ok");
+  } catch (err) {
+    toast(`Publish failed: ${err.message}`, "error");
+  }
 }
 
-// Pinned topics
+// Message history (bounded per-topic ring buffer + timeline view)
 
-function togglePin(topic) {
-  if (state.pinnedTopics[topic]) return unpinTopic(topic);
-  if (!isConnected()) return;
-  state.pinnedTopics[topic] = { lastMsg: null };
-  renderPinnedRow();
-  renderSidebar();
+const HISTORY_MAX = 500;
+const HISTORY_LIST_MAX = 200;
+const DIFF_MAX_LINES = 400;
+
+let _historyRaf = 0;
+
+// `seq` numbers a topic's messages so counts stay right once old entries drop
+// out of the buffer.
+function recordHistory(topic, decoded, packet) {
+  const hist = (state.topicHistory[topic] ??= []);
+  const seq = (hist.at(-1)?.seq ?? 0) + 1;
+  const entry = { seq, ts: Date.now(), payload: decoded.text, retain: !!packet?.retain, qos: packet?.qos ?? 0 };
+  if (decoded.codec !== "utf8") {
+    entry.codec = decoded.codec;
+    entry.value = decoded.value;
+  }
+  hist.push(entry);
+  if (hist.length > HISTORY_MAX) hist.splice(0, hist.length - HISTORY_MAX);
+  if (state.historyView?.topic !== topic || _historyRaf) return;
+  _historyRaf = requestAnimationFrame(() => {
+    _historyRaf = 0;
+    if (state.historyView?.paused) renderHistoryCount();
+    else renderHistory();
+    if (!$("plot-suggest")?.childElementCount) renderPlotSuggestions(topic);
+  });
 }
 
-function unpinTopic(topic) {
-  if (!state.pinnedTopics[topic]) return;
-  delete state.pinnedTopics[topic];
-  renderPinnedRow();
-  renderSidebar();
+function getHistoryEntries() {
+  const view = state.historyView;
+  if (!view) return [];
+  return view.frozen || state.topicHistory[view.topic] || [];
 }
 
-function unpinAllTopics() {
-  state.pinnedTopics = {};
-  renderPinnedRow();
+function setHistoryPaused(paused) {
+  const view = state.historyView;
+  if (!view) return;
+  view.paused = paused;
+  if (paused) {
+    view.frozen = (state.topicHistory[view.topic] || []).slice();
+  } else {
+    view.frozen = null;
+    view.cursor = null;
+  }
+  renderHistory();
 }
 
-function renderPinnedRow() {
-  const row = $("pinned-row");
-  const pinned = Object.entries(state.pinnedTopics);
-  row.hidden = !pinned.length;
-  row.innerHTML = "";
+// Cursor is an index into the (frozen) entries; null follows the newest message.
+function stepHistory(delta) {
+  const view = state.historyView;
+  if (!view) return;
+  if (!view.paused) setHistoryPaused(true);
+  const entries = getHistoryEntries();
+  if (!entries.length) return;
+  const current = view.cursor ?? entries.length - 1;
+  view.cursor = Math.max(0, Math.min(entries.length - 1, current + delta));
+  renderHistory();
+}
 
-  for (const [topic, entry] of pinned) {
-    const id = cssId(topic);
-    const safe = escHtml(topic);
-    const msg = entry.lastMsg !== null ? escHtml(entry.lastMsg) : "Waiting…";
+function selectHistoryEntry(index) {
+  const view = state.historyView;
+  if (!view) return;
+  if (!view.paused) setHistoryPaused(true);
+  view.cursor = index;
+  renderHistory();
+}
 
-    const card = document.createElement("div");
-    card.className = "watch-card";
-    card.id = `watch-card-${id}`;
-    card.innerHTML = `
-      <div class="watch-card-header">
-        <span class="watch-card-name" title="${safe}">${safe}</span>
-        <button class="watch-card-unpin" aria-label="Unpin ${safe}">✕</button>
-      </div>
-      <div class="watch-card-msg" id="watch-msg-${id}">${msg}</div>
+function renderHistoryCount() {
+  const view = state.historyView;
+  const el = $("history-count");
+  if (!view || !el) return;
+  const shown = getHistoryEntries().length;
+  const latest = state.topicHistory[view.topic]?.at(-1)?.seq ?? 0;
+  const fresh = view.frozen ? latest - (view.frozen.at(-1)?.seq ?? 0) : 0;
+  el.textContent = view.paused
+    ? `${shown} · paused${fresh ? ` (+${fresh} new)` : ""}`
+    : shown ? String(shown) : "";
+}
+
+function renderHistory() {
+  const view = state.historyView;
+  const list = $("history-list");
+  const detail = $("history-detail");
+  if (!view || !list || !detail) return;
+
+  const entries = getHistoryEntries();
+  const cursor = view.cursor ?? entries.length - 1;
+
+  renderHistoryCount();
+  $("btn-history-pause").textContent = view.paused ? "Resume" : "Pause";
+  $("btn-history-pause").classList.toggle("active", view.paused);
+  $("btn-history-prev").disabled = cursor <= 0;
+  $("btn-history-next").disabled = cursor >= entries.length - 1;
+  $("history-diff").checked = view.diff;
+
+  list.innerHTML = "";
+  const start = Math.max(0, entries.length - HISTORY_LIST_MAX);
+  for (let i = entries.length - 1; i >= start; i--) {
+    const entry = entries[i];
+    const row = document.createElement("button");
+    row.className = "history-row";
+    if (i === cursor) row.classList.add("active");
+    row.setAttribute("role", "option");
+    row.setAttribute("aria-selected", String(i === cursor));
+    const flags = `${entry.retain ? "R " : ""}Q${entry.qos}`;
+    const preview = entry.payload.replace(/\s+/g, " ");
+    row.innerHTML = `
+      <span class="history-time">${formatTime(entry.ts)}</span>
+      <span class="history-flags">${flags}</span>
+      <span class="history-preview">${escHtml(preview.length > 120 ? preview.slice(0, 120) + "…" : preview)}</span>
     `;
-    card.querySelector(".watch-card-unpin").addEventListener("click", () => unpinTopic(topic));
-    row.appendChild(card);
+    row.addEventListener("click", () => selectHistoryEntry(i));
+    list.appendChild(row);
+  }
+  list.querySelector(".history-row.active")?.scrollIntoView?.({ block: "nearest" });
+
+  const entry = entries[cursor];
+  if (!entry) {
+    detail.className = "data-card history-detail empty";
+    detail.textContent = "No messages yet";
+    return;
+  }
+  detail.className = "data-card history-detail";
+  const prev = entries[cursor - 1];
+  if (view.diff && prev) {
+    detail.innerHTML = renderDiff(prettyJson(prev.payload), prettyJson(entry.payload));
+  } else {
+    detail.textContent = prettyJson(entry.payload);
   }
 }
 
-function updateWatchCard(topic) {
-  const entry = state.pinnedTopics[topic];
-  if (!entry) return;
-  const el = $(`watch-msg-${cssId(topic)}`);
-  if (el && entry.lastMsg !== null) {
-    el.textContent = prettyJson(entry.lastMsg);
+// Line-based LCS diff; falls back to whole-block replace for very large payloads.
+function diffLines(before, after) {
+  const a = before.split("\n");
+  const b = after.split("\n");
+  if (a.length > DIFF_MAX_LINES || b.length > DIFF_MAX_LINES) {
+    return [...a.map(text => ({ op: "-", text })), ...b.map(text => ({ op: "+", text }))];
+  }
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      out.push({ op: " ", text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      out.push({ op: "-", text: a[i++] });
+    } else {
+      out.push({ op: "+", text: b[j++] });
+    }
   }
+  while (i < a.length) out.push({ op: "-", text: a[i++] });
+  while (j < b.length) out.push({ op: "+", text: b[j++] });
+  return out;
 }
 
-// Core MQTT tool implementations
+function renderDiff(before, after) {
+  const lines = diffLines(before, after);
+  if (lines.every(l => l.op === " ")) return `<span class="diff-same">No change from previous message</span>\n${escHtml(after)}`;
+  return lines.map(({ op, text }) => {
+    const cls = op === "+" ? "diff-add" : op === "-" ? "diff-del" : "diff-ctx";
+    return `<span class="${cls}">${op} ${escHtml(text)}</span>`;
+  }).join("\n");
+}
 
-function subscribeOnce(topic, timeoutMs = 5000) {
-  if (!isConnected()) return Promise.reject(new Error("Not connected"));
-  return new Promise((resolve, reject) => {
-    const callbacks = (state.onceCallbacks[topic] ??= []);
-    const timer = setTimeout(() => {
-      const idx = callbacks.indexOf(cb);
-      if (idx !== -1) callbacks.splice(idx, 1);
-      reject(new Error(`Timeout waiting for message on ${topic}`));
-    }, timeoutMs);
-    function cb(msg) {
-      clearTimeout(timer);
-      resolve(msg);
+// Returns stored messages for a topic, newest last. `last` caps the count,
+// `sinceSec` limits to messages received within that many seconds.
+function queryHistory(topic, { last, sinceSec } = {}) {
+  let entries = state.topicHistory[topic] || [];
+  if (sinceSec !== undefined) {
+    const cutoff = Date.now() - sinceSec * 1000;
+    entries = entries.filter(e => e.ts >= cutoff);
+  }
+  if (last !== undefined) entries = last >= 1 ? entries.slice(-Math.floor(last)) : [];
+  return entries;
+}
+
+// Plotting (numeric JSON paths as live multi-series charts)
+
+const PLOT_MAX_SAMPLES = 5000;
+const PLOT_WINDOWS_SEC = [5, 10, 30, 60, 300];
+const PLOT_DEFAULT_WINDOW_SEC = 30;
+const PLOT_CARD_WINDOW_SEC = 30;
+const PLOT_TICK_MS = 100;
+const PLOT_COLORS = ["#2d6a4f", "#c0392b", "#2563eb", "#b7791f", "#7c3aed", "#0e7490", "#be185d", "#4b5563"];
+
+let _plotTicker = null;
+
+function toNumber(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : NaN;
+  if (typeof value === "boolean") return value ? 1 : 0;
+  if (typeof value === "string" && value.trim() !== "") return Number(value);
+  return NaN;
+}
+
+function extractPlotValues(paths, payload) {
+  const parsed = parsePayload(payload);
+  return paths.map(p => toNumber(getJsonPath(parsed, p)));
+}
+
+function recordPlotSample(topic, payload, ts = Date.now()) {
+  const paths = state.plotPaths[topic];
+  if (!paths?.length) return;
+  const values = extractPlotValues(paths, payload);
+  if (values.every(Number.isNaN)) return;
+  const samples = (state.plotSamples[topic] ??= []);
+  samples.push({ ts, values });
+  if (samples.length > PLOT_MAX_SAMPLES) samples.splice(0, samples.length - PLOT_MAX_SAMPLES);
+}
+
+// Rebuilds a topic's samples from its message history, e.g. after the paths change.
+function seedPlotSamples(topic) {
+  state.plotSamples[topic] = [];
+  for (const entry of state.topicHistory[topic] || []) recordPlotSample(topic, entry.payload, entry.ts);
+}
+
+function setPlotPaths(topic, paths) {
+  if (paths.length) {
+    state.plotPaths[topic] = paths;
+  } else {
+    delete state.plotPaths[topic];
+  }
+  localStorage.setItem("webmcp-plot-paths", JSON.stringify(state.plotPaths));
+  seedPlotSamples(topic);
+  syncPlotTicker();
+}
+
+// Lists dotted paths to every numeric (or boolean) leaf of a parsed JSON value.
+function listNumericPaths(value, prefix = "", out = []) {
+  if (out.length >= 24) return out;
+  if (typeof value === "number" || typeof value === "boolean") {
+    out.push(prefix || "$");
+  } else if (Array.isArray(value)) {
+    value.slice(0, 8).forEach((v, i) => listNumericPaths(v, `${prefix}[${i}]`, out));
+  } else if (value && typeof value === "object") {
+    for (const [k, v] of Object.entries(value)) {
+      const key = /^[A-Za-z_$][\w$]*$/.test(k) ? k : `["${k}"]`;
+      listNumericPaths(v, prefix && !key.startsWith("[") ? `${prefix}.${key}` : prefix + key, out);
     }
-    callbacks.push(cb);
+  }
+  return out;
+}
+
+function initPlotPanel(topic) {
+  const input = $("plot-paths");
+  const view = state.plotView;
+  input.value = (state.plotPaths[topic] || []).join(", ");
+  $("plot-window").value = String(view.windowSec);
+
+  const apply = () => {
+    const paths = input.value.split(",").map(p => p.trim()).filter(Boolean);
+    setPlotPaths(topic, paths);
+    renderPlotPanel();
+    renderPinnedRow();
+  };
+  $("btn-plot-apply").addEventListener("click", apply);
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") apply();
+  });
+  $("btn-plot-pause").addEventListener("click", () => {
+    view.paused = !view.paused;
+    view.pausedAt = view.paused ? Date.now() : null;
+    renderPlotPanel();
+  });
+  $("plot-window").addEventListener("change", (e) => {
+    view.windowSec = Number(e.target.value);
+    drawPanelPlot();
   });
+  $("plot-canvas").addEventListener("wheel", (e) => {
+    e.preventDefault();
+    const idx = PLOT_WINDOWS_SEC.indexOf(view.windowSec);
+    const next = PLOT_WINDOWS_SEC[Math.max(0, Math.min(PLOT_WINDOWS_SEC.length - 1, idx + Math.sign(e.deltaY)))];
+    if (next === view.windowSec) return;
+    view.windowSec = next;
+    $("plot-window").value = String(next);
+    drawPanelPlot();
+  }, { passive: false });
+  $("btn-plot-csv").addEventListener("click", () => exportPlotCsv(topic));
+  $("btn-plot-clear").addEventListener("click", () => {
+    state.plotSamples[topic] = [];
+    drawPanelPlot();
+  });
+  renderPlotPanel();
 }
 
-function subscribeForDuration(topic, durationSec, maxMessages = 100) {
-  if (!isConnected()) throw new Error("Not connected");
-  const collected = [];
-  const listeners = (state.topicListeners[topic] ??= new Set());
+function renderPlotPanel() {
+  const view = state.plotView;
+  const wrap = $("plot-wrap");
+  if (!view || !wrap) return;
+  const paths = state.plotPaths[view.topic] || [];
+  wrap.hidden = !paths.length;
+  $("btn-plot-pause").textContent = view.paused ? "Resume" : "Pause";
+  $("btn-plot-pause").classList.toggle("active", view.paused);
+  renderPlotSuggestions(view.topic);
+  syncPlotTicker();
+  drawPanelPlot();
+}
 
-  return new Promise(resolve => {
-    const cb = (msg) => {
-      collected.push(msg);
-      if (collected.length >= maxMessages) {
-        listeners.delete(cb);
-        resolve(collected);
-      }
-    };
-    listeners.add(cb);
-    setTimeout(() => {
-      listeners.delete(cb);
-      resolve(collected);
-    }, durationSec * 1000);
+function renderPlotSuggestions(topic) {
+  const el = $("plot-suggest");
+  if (!el) return;
+  el.innerHTML = "";
+  const last = state.topicHistory[topic]?.at(-1);
+  if (!last) return;
+  const current = state.plotPaths[topic] || [];
+  const suggestions = listNumericPaths(parsePayload(last.payload)).filter(p => !current.includes(p));
+  for (const path of suggestions) {
+    const chip = document.createElement("button");
+    chip.className = "plot-chip";
+    chip.textContent = `+ ${path}`;
+    chip.addEventListener("click", () => {
+      setPlotPaths(topic, [...(state.plotPaths[topic] || []), path]);
+      $("plot-paths").value = state.plotPaths[topic].join(", ");
+      renderPlotPanel();
+      renderPinnedRow();
+    });
+    el.appendChild(chip);
+  }
+}
+
+function getPlotWindow(topic, windowSec, endTs) {
+  const start = endTs - windowSec * 1000;
+  return (state.plotSamples[topic] || []).filter(s => s.ts >= start && s.ts <= endTs);
+}
+
+function drawPanelPlot() {
+  const view = state.plotView;
+  const canvas = $("plot-canvas");
+  if (!view || !canvas || $("plot-wrap")?.hidden) return;
+  const paths = state.plotPaths[view.topic] || [];
+  const endTs = view.paused ? view.pausedAt : Date.now();
+  const samples = getPlotWindow(view.topic, view.windowSec, endTs);
+  drawPlot(canvas, samples, paths.length, { windowSec: view.windowSec, endTs, axes: true });
+
+  const legend = $("plot-legend");
+  legend.innerHTML = "";
+  paths.forEach((path, i) => {
+    const item = document.createElement("span");
+    item.className = "plot-legend-item";
+    const value = samples.findLast(s => Number.isFinite(s.values[i]))?.values[i];
+    item.innerHTML = `<span class="plot-swatch" style="background:${PLOT_COLORS[i % PLOT_COLORS.length]}"></span>${escHtml(path)}<span class="plot-legend-value">${Number.isFinite(value) ? formatPlotNumber(value) : "–"}</span>`;
+    legend.appendChild(item);
   });
 }
 
-// Tools
+function formatPlotNumber(n) {
+  const abs = Math.abs(n);
+  if (abs !== 0 && (abs >= 1e6 || abs < 1e-3)) return n.toExponential(2);
+  return String(Math.round(n * 1000) / 1000);
+}
 
-const TOOLS = [
-  {
-    name: "connect_to_broker",
-    description: "Set the MQTT broker WebSocket URL and reconnect.",
-    parameters: {
-      type: "object",
-      properties: {
-        ip:   { type: "string", description: "MQTT broker host IP or hostname", default: "broker.hivemq.com" },
-        port: { type: "number", description: "MQTT WebSocket port (8884 for wss, 9001 for local ws)", default: 8884 },
-      },
-      required: ["ip"],
-    },
-    handler: async ({ ip, port = 8884 }) => {
-      const proto = location.protocol === "https:" ? "wss" : "ws";
-      const url = `${proto}://${ip}:${port}/mqtt`;
+function drawPlot(canvas, samples, seriesCount, { windowSec, endTs, axes }) {
+  const dpr = window.devicePixelRatio || 1;
+  const cssW = canvas.clientWidth || canvas.width;
+  const cssH = canvas.clientHeight || canvas.height;
+  if (canvas.width !== Math.round(cssW * dpr)) canvas.width = Math.round(cssW * dpr);
+  if (canvas.height !== Math.round(cssH * dpr)) canvas.height = Math.round(cssH * dpr);
+  const ctx = canvas.getContext("2d");
+  if (!ctx) return;
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, cssW, cssH);
+
+  const styles = getComputedStyle(document.documentElement);
+  const gridColor = styles.getPropertyValue("--border").trim() || "#d8d5ce";
+  const labelColor = styles.getPropertyValue("--text-secondary").trim() || "#666";
+
+  let min = Infinity;
+  let max = -Infinity;
+  for (const s of samples) {
+    for (const v of s.values) {
+      if (!Number.isFinite(v)) continue;
+      if (v < min) min = v;
+      if (v > max) max = v;
+    }
+  }
+  if (min === Infinity) {
+    min = 0;
+    max = 1;
+  } else if (min === max) {
+    min -= 1;
+    max += 1;
+  } else {
+    const pad = (max - min) * 0.08;
+    min -= pad;
+    max += pad;
+  }
+
+  const left = axes ? 48 : 2;
+  const bottom = axes ? 16 : 2;
+  const plotW = Math.max(1, cssW - left - 4);
+  const plotH = Math.max(1, cssH - bottom - 4);
+  const startTs = endTs - windowSec * 1000;
+  const x = ts => left + ((ts - startTs) / (windowSec * 1000)) * plotW;
+  const y = v => 4 + (1 - (v - min) / (max - min)) * plotH;
+
+  ctx.lineWidth = 1;
+  ctx.strokeStyle = gridColor;
+  ctx.fillStyle = labelColor;
+  ctx.font = "10px ui-monospace, monospace";
+  if (axes) {
+    for (let i = 0; i <= 3; i++) {
+      const v = min + ((max - min) * i) / 3;
+      const yy = Math.round(y(v)) + 0.5;
+      ctx.beginPath();
+      ctx.moveTo(left, yy);
+      ctx.lineTo(left + plotW, yy);
+      ctx.stroke();
+      ctx.textAlign = "right";
+      ctx.textBaseline = "middle";
+      ctx.fillText(formatPlotNumber(v), left - 4, yy);
+    }
+    ctx.textAlign = "left";
+    ctx.textBaseline = "alphabetic";
+    ctx.fillText(`-${windowSec}s`, left, cssH - 3);
+    ctx.textAlign = "right";
+    ctx.fillText("now", left + plotW, cssH - 3);
+  }
+
+  ctx.lineWidth = 1.5;
+  for (let i = 0; i < seriesCount; i++) {
+    ctx.strokeStyle = PLOT_COLORS[i % PLOT_COLORS.length];
+    ctx.beginPath();
+    let drawing = false;
+    for (const s of samples) {
+      const v = s.values[i];
+      if (!Number.isFinite(v)) {
+        drawing = false;
+        continue;
+      }
+      if (drawing) ctx.lineTo(x(s.ts), y(v));
+      else ctx.moveTo(x(s.ts), y(v));
+      drawing = true;
+    }
+    ctx.stroke();
+  }
+}
+
+function drawCardPlots() {
+  const now = Date.now();
+  for (const topic of Object.keys(state.pinnedTopics)) {
+    const paths = state.plotPaths[topic];
+    const canvas = $(`watch-plot-${cssId(topic)}`);
+    if (!paths?.length || !canvas) continue;
+    const samples = getPlotWindow(topic, PLOT_CARD_WINDOW_SEC, now);
+    drawPlot(canvas, samples, paths.length, { windowSec: PLOT_CARD_WINDOW_SEC, endTs: now, axes: false });
+  }
+}
+
+// Redraws visible charts on a fixed tick so they keep scrolling between messages.
+function syncPlotTicker() {
+  const panelLive = state.plotView && !state.plotView.paused && state.plotPaths[state.plotView.topic]?.length;
+  const cardsLive = Object.keys(state.pinnedTopics).some(t => state.plotPaths[t]?.length);
+  const needed = !!(panelLive || cardsLive);
+  if (needed && !_plotTicker) {
+    _plotTicker = setInterval(() => {
+      if (state.plotView && !state.plotView.paused) drawPanelPlot();
+      drawCardPlots();
+    }, PLOT_TICK_MS);
+  } else if (!needed && _plotTicker) {
+    clearInterval(_plotTicker);
+    _plotTicker = null;
+  }
+}
+
+function exportPlotCsv(topic) {
+  const view = state.plotView;
+  const paths = state.plotPaths[topic] || [];
+  const endTs = view?.paused ? view.pausedAt : Date.now();
+  const samples = getPlotWindow(topic, view?.windowSec ?? PLOT_DEFAULT_WINDOW_SEC, endTs);
+  if (!samples.length) {
+    toast("Nothing to export in this window", "error");
+    return;
+  }
+  const csvCell = v => /[",\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+  const lines = [["time", ...paths].map(csvCell).join(",")];
+  for (const s of samples) {
+    lines.push([new Date(s.ts).toISOString(), ...s.values.map(v => Number.isFinite(v) ? String(v) : "")].join(","));
+  }
+  downloadText(`${topic.replace(/[^a-zA-Z0-9_-]+/g, "_")}-plot.csv`, lines.join("\n") + "\n", "text/csv");
+}
+
+// Device registry
+//
+// Devices announce themselves with a retained JSON message on devices/<id>
+// ({"topics": [...]}) and clear it with an empty retained message when they
+// are decommissioned. Liveness comes from devices/<id>/status, which devices
+// set to "online" on connect and register as their Last Will ("offline").
+
+const DEVICE_PREFIX = "devices/";
+const DEVICE_STATUS_SUFFIX = "/status";
+
+// "offline" statuses for devices not announced yet: a retained Last Will can
+// arrive before the retained announcement it contradicts.
+const _pendingDeviceStatus = new Map();
+
+function parseDeviceStatus(text) {
+  const value = parsePayload(text.trim());
+  if (typeof value === "boolean") return value;
+  if (value && typeof value === "object" && typeof value.online === "boolean") return value.online;
+  if (/^(online|connected|1)$/i.test(text.trim())) return true;
+  if (/^(offline|disconnected|lost|0)$/i.test(text.trim())) return false;
+  return null;
+}
+
+function upsertDevice(id, fields) {
+  const now = Date.now();
+  const device = state.devices[id] || { id, topics: [], firstSeen: now, online: false, status: "unknown" };
+  state.devices[id] = Object.assign(device, fields, { lastSeen: now });
+  return device;
+}
+
+// Returns true when the message was consumed by the registry (announcements
+// and their clears); status and other device topics continue through the
+// normal message pipeline.
+function handleDeviceMessage(topic, message, packet) {
+  const rest = topic.slice(DEVICE_PREFIX.length);
+  const text = message.toString();
+
+  if (rest.endsWith(DEVICE_STATUS_SUFFIX)) {
+    const id = rest.slice(0, -DEVICE_STATUS_SUFFIX.length);
+    const online = parseDeviceStatus(text);
+    if (online === false && !state.devices[id]) {
+      _pendingDeviceStatus.set(id, false);
+    } else if (online !== null) {
+      _pendingDeviceStatus.delete(id);
+      upsertDevice(id, { online, status: online ? "online" : "offline (last will)" });
+      syncDeviceTools(id);
+      scheduleDeviceRender();
+    }
+    return false;
+  }
+
+  if (!text.length) {
+    if (!state.devices[rest]) return false;
+    delete state.devices[rest];
+    syncDeviceTools(rest);
+    scheduleDeviceRender();
+    return true;
+  }
+
+  let announcement;
+  try {
+    announcement = JSON.parse(text);
+  } catch {}
+  if (!Array.isArray(announcement?.topics)) {
+    const owner = findDeviceForTopic(topic);
+    if (owner) owner.lastSeen = Date.now();
+    return false;
+  }
+
+  const topics = announcement.topics.filter(t => typeof t === "string");
+  // A live announcement is newer than any remembered status; a retained one
+  // may be older than the Last Will that came before it.
+  const lastWill = packet?.retain && _pendingDeviceStatus.get(rest) === false;
+  _pendingDeviceStatus.delete(rest);
+  const online = lastWill ? false : typeof announcement.online === "boolean" ? announcement.online : true;
+  upsertDevice(rest, {
+    topics,
+    capabilities: parseCapabilities(rest, announcement.capabilities),
+    online,
+    status: lastWill ? "offline (last will)" : online ? (packet?.retain ? "announced (retained)" : "announced") : "offline",
+    announceTopic: topic,
+  });
+  for (const t of topics) trackTopic(t);
+  syncDeviceTools(rest);
+  if (!state.selected && state.seenTopics.length > 0) selectTopic(state.seenTopics[0]);
+  scheduleDeviceRender();
+  return true;
+}
+
+function findDeviceForTopic(topic) {
+  return Object.values(state.devices).find(d =>
+    d.topics.includes(topic) || topic.startsWith(DEVICE_PREFIX + d.id + "/"));
+}
+
+function listDevices() {
+  return Object.values(state.devices).sort((a, b) => a.id.localeCompare(b.id));
+}
+
+let _deviceRenderPending = false;
+function scheduleDeviceRender() {
+  if (_deviceRenderPending) return;
+  _deviceRenderPending = true;
+  requestAnimationFrame(() => {
+    _deviceRenderPending = false;
+    renderDeviceList();
+  });
+}
+
+function formatAgo(ts, now = Date.now()) {
+  const sec = Math.max(0, Math.round((now - ts) / 1000));
+  if (sec < 60) return `${sec}s ago`;
+  if (sec < 3600) return `${Math.floor(sec / 60)}m ago`;
+  return `${Math.floor(sec / 3600)}h ago`;
+}
+
+function renderDeviceList() {
+  const container = $("devices-list");
+  if (!container) return;
+  container.innerHTML = "";
+  const devices = listDevices();
+
+  if (!devices.length) {
+    if (!state.connected) return;
+    const el = document.createElement("div");
+    el.className = "sidebar-empty";
+    el.textContent = "No devices announced";
+    container.appendChild(el);
+    return;
+  }
+
+  const now = Date.now();
+  for (const device of devices) {
+    const key = `device:${device.id}`;
+    const isCollapsed = !!state.sidebarCollapsed[key];
+    const row = document.createElement("div");
+    row.className = "sidebar-item-row sidebar-tree-row device-row";
+    row.style.setProperty("--depth", 0);
+
+    const chevronBtn = document.createElement("button");
+    chevronBtn.className = "sidebar-tree-toggle";
+    chevronBtn.setAttribute("aria-expanded", String(!isCollapsed));
+    chevronBtn.setAttribute("aria-label", `${isCollapsed ? "Expand" : "Collapse"} ${device.id}`);
+    chevronBtn.innerHTML = `<span class="sidebar-chevron${isCollapsed ? " collapsed" : ""}"></span>`;
+    chevronBtn.addEventListener("click", () => {
+      state.sidebarCollapsed[key] = !isCollapsed;
+      saveSidebarCollapsed();
+      renderDeviceList();
+    });
+    row.appendChild(chevronBtn);
+
+    const dot = document.createElement("span");
+    dot.className = device.online ? "device-dot online" : "device-dot";
+    dot.setAttribute("aria-label", device.online ? "online" : "offline");
+    row.appendChild(dot);
+
+    const name = document.createElement("span");
+    name.className = "sidebar-item device-id";
+    name.textContent = device.id;
+    name.title = [
+      `Status: ${device.status}`,
+      `First seen: ${new Date(device.firstSeen).toLocaleString()}`,
+      `Last seen: ${new Date(device.lastSeen).toLocaleString()}`,
+    ].join("\n");
+    row.appendChild(name);
+
+    const seen = document.createElement("span");
+    seen.className = "sidebar-rate device-seen";
+    seen.dataset.device = device.id;
+    seen.textContent = formatAgo(device.lastSeen, now);
+    row.appendChild(seen);
+    container.appendChild(row);
+
+    const group = document.createElement("div");
+    group.setAttribute("role", "group");
+    group.hidden = isCollapsed;
+    for (const t of device.topics) {
+      const topicRow = document.createElement("div");
+      topicRow.className = "sidebar-item-row sidebar-tree-row";
+      topicRow.style.setProperty("--depth", 1);
+      const spacer = document.createElement("span");
+      spacer.className = "sidebar-tree-spacer";
+      topicRow.appendChild(spacer);
+      const btn = document.createElement("button");
+      btn.className = "sidebar-item";
+      if (state.selected?.name === t) btn.classList.add("active");
+      btn.textContent = t.startsWith(DEVICE_PREFIX + device.id + "/") ? t.slice(DEVICE_PREFIX.length + device.id.length + 1) : t;
+      btn.title = t;
+      btn.addEventListener("click", () => selectTopic(t));
+      topicRow.appendChild(btn);
+      group.appendChild(topicRow);
+    }
+    container.appendChild(group);
+  }
+}
+
+function refreshDeviceSeen() {
+  const now = Date.now();
+  for (const el of document.querySelectorAll(".device-seen")) {
+    const device = state.devices[el.dataset.device];
+    if (device) el.textContent = formatAgo(device.lastSeen, now);
+  }
+}
+
+// Session recording and replay (JSONL)
+
+const RECORDING_MAX = 200000;
+const REPLAY_SPEEDS = { "0.5": 0.5, "1": 1, "2": 2, "max": Infinity };
+const _utf8Strict = new TextDecoder("utf-8", { fatal: true });
+
+function startRecording() {
+  if (state.recording) throw new Error("Already recording");
+  state.recording = { startedAt: Date.now(), entries: [] };
+  renderSessionPanel();
+}
+
+function stopRecording() {
+  const rec = state.recording;
+  if (!rec) throw new Error("Not recording");
+  state.recording = null;
+  state.lastRecording = { ...rec, stoppedAt: Date.now(), name: `recording-${new Date(rec.startedAt).toISOString().replace(/[:.]/g, "-")}.jsonl` };
+  renderSessionPanel();
+  return state.lastRecording;
+}
+
+// Payloads that are valid UTF-8 are stored as text; anything else as base64.
+function recordSessionMessage(topic, message, packet) {
+  const rec = state.recording;
+  if (!rec) return;
+  const entry = { ts: Date.now(), topic, qos: packet?.qos ?? 0, retain: !!packet?.retain };
+  try {
+    entry.payload = _utf8Strict.decode(message);
+  } catch {
+    entry.payload_base64 = bytesToBase64(message);
+  }
+  rec.entries.push(entry);
+  if (rec.entries.length >= RECORDING_MAX) {
+    stopRecording();
+    toast(`Recording stopped at ${RECORDING_MAX} messages`, "error");
+  } else if (rec.entries.length % 25 === 1) {
+    renderSessionStatus();
+  }
+}
+
+function recordingToJsonl(entries) {
+  return entries.map(({ ts, ...rest }) => JSON.stringify({ time: new Date(ts).toISOString(), ...rest })).join("\n") + "\n";
+}
+
+function parseRecordingJsonl(text) {
+  const entries = [];
+  text.split("\n").forEach((line, i) => {
+    if (!line.trim()) return;
+    let obj;
+    try {
+      obj = JSON.parse(line);
+    } catch {
+      throw new Error(`Line ${i + 1} is not valid JSON`);
+    }
+    const ts = typeof obj.ts === "number" ? obj.ts : Date.parse(obj.time);
+    if (typeof obj.topic !== "string" || !Number.isFinite(ts)) throw new Error(`Line ${i + 1} needs topic and time`);
+    if (typeof obj.payload !== "string" && typeof obj.payload_base64 !== "string") throw new Error(`Line ${i + 1} has no payload`);
+    entries.push({ ...obj, ts });
+  });
+  entries.sort((a, b) => a.ts - b.ts);
+  return entries;
+}
+
+function filterRecording(entries, include = [], exclude = []) {
+  return entries.filter(e =>
+    (!include.length || include.some(f => topicMatches(f, e.topic)))
+    && !exclude.some(f => topicMatches(f, e.topic)));
+}
+
+function entryBytes(entry) {
+  return entry.payload_base64 !== undefined ? base64ToBytes(entry.payload_base64) : new TextEncoder().encode(entry.payload);
+}
+
+// Replayed broker messages get the same clamps and schema checks as any other
+// publish; binary payloads are checked in their decoded form.
+async function replayPayload(entry) {
+  const bytes = entryBytes(entry);
+  if (!findSafetyRule(entry.topic)) return bytes;
+  const binary = entry.payload_base64 !== undefined;
+  const safe = applySafetyLimits(entry.topic, binary ? decodePayload(entry.topic, bytes).text : entry.payload);
+  if (!safe.clamped.length) return bytes;
+  return binary ? encodePayload(entry.topic, safe.payload) : new TextEncoder().encode(safe.payload);
+}
+
+// Replays entries preserving their relative timing (scaled by speed). "broker"
+// republishes without the retain flag so replays never overwrite retained state,
+// and stops at the first message the safety limits reject; "dashboard" feeds
+// messages straight into the UI.
+async function replayRecording(entries, { mode = "dashboard", speed = 1 } = {}) {
+  if (state.replay) throw new Error("A replay is already running");
+  if (mode === "broker") {
+    assertArmed();
+    if (!isConnected()) throw new Error("Not connected");
+  }
+  const replay = { cancelled: false, ctrl: new AbortController(), index: 0, total: entries.length, mode, speed };
+  state.replay = replay;
+  renderSessionPanel();
+  const t0 = performance.now();
+  const first = entries[0]?.ts ?? 0;
+  try {
+    for (const entry of entries) {
+      if (replay.cancelled) break;
+      if (Number.isFinite(speed)) {
+        const due = (entry.ts - first) / speed - (performance.now() - t0);
+        // stopReplay aborts the wait, so a long gap does not delay stopping.
+        if (due > 0) {
+          await sleep(due, replay.ctrl.signal).catch((err) => {
+            if (err.name !== "AbortError") throw err;
+          });
+        }
+        if (replay.cancelled) break;
+      } else if (replay.index % 200 === 0) {
+        await sleep(0);
+      }
+      if (mode === "broker") {
+        if (!isConnected()) throw new Error("Disconnected during replay");
+        try {
+          await publishMessage(entry.topic, await replayPayload(entry), { qos: entry.qos || 0 });
+        } catch (err) {
+          err.message = `Replay stopped after ${replay.index} of ${replay.total} messages: ${err.message}`;
+          throw err;
+        }
+      } else {
+        handleMessage(entry.topic, entryBytes(entry), { qos: entry.qos || 0, retain: !!entry.retain });
+      }
+      replay.index++;
+      if (replay.index % 10 === 0) renderSessionStatus();
+    }
+  } finally {
+    state.replay = null;
+    renderSessionPanel();
+  }
+  return { replayed: replay.index, total: replay.total, cancelled: replay.cancelled };
+}
+
+function stopReplay() {
+  if (!state.replay) return;
+  state.replay.cancelled = true;
+  state.replay.ctrl.abort();
+}
+
+function getReplaySource() {
+  return state.loadedRecording || state.lastRecording;
+}
+
+function formatDuration(ms) {
+  const sec = Math.round(ms / 1000);
+  return `${Math.floor(sec / 60)}:${String(sec % 60).padStart(2, "0")}`;
+}
+
+function splitFilters(str) {
+  return str.split(",").map(f => f.trim()).filter(Boolean);
+}
+
+function renderSessionStatus() {
+  const el = $("session-status");
+  if (!el) return;
+  if (state.recording) {
+    const rec = state.recording;
+    el.textContent = `● ${rec.entries.length} msgs · ${formatDuration(Date.now() - rec.startedAt)}`;
+  } else if (state.replay) {
+    el.textContent = `▶ ${state.replay.index}/${state.replay.total} · ${state.replay.mode === "broker" ? "to broker" : "dashboard"}`;
+  } else if (state.lastRecording) {
+    const rec = state.lastRecording;
+    el.textContent = `${rec.entries.length} msgs · ${formatDuration(rec.stoppedAt - rec.startedAt)}`;
+  } else {
+    el.textContent = "Idle";
+  }
+  el.classList.toggle("recording", !!state.recording);
+}
+
+function renderSessionPanel() {
+  const recBtn = $("session-record-btn");
+  if (!recBtn) return;
+  recBtn.textContent = state.recording ? "■ Stop" : "● Record";
+  recBtn.classList.toggle("recording", !!state.recording);
+  $("session-download-btn").disabled = !state.lastRecording?.entries.length;
+  const source = getReplaySource();
+  $("session-source").textContent = source
+    ? `${source.name} · ${source.entries.length} msgs`
+    : "No recording loaded";
+  $("session-replay-btn").textContent = state.replay ? "Stop replay" : "Replay";
+  $("session-replay-btn").disabled = !state.replay && !source?.entries.length;
+  renderSessionStatus();
+}
+
+function initSessionPanel() {
+  $("session-record-btn").addEventListener("click", () => {
+    if (state.recording) {
+      const rec = stopRecording();
+      toast(`Recorded ${rec.entries.length} messages`, "ok");
+    } else {
+      startRecording();
+    }
+  });
+  $("session-download-btn").addEventListener("click", () => {
+    const rec = state.lastRecording;
+    if (rec) downloadText(rec.name, recordingToJsonl(rec.entries), "application/x-ndjson");
+  });
+  $("session-load-btn").addEventListener("click", () => $("session-file").click());
+  $("session-file").addEventListener("change", async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      state.loadedRecording = { name: file.name, entries: parseRecordingJsonl(await file.text()) };
+      renderSessionPanel();
+      toast(`Loaded ${state.loadedRecording.entries.length} messages`, "ok");
+    } catch (err) {
+      toast(`Load failed: ${err.message}`, "error");
+    }
+  });
+  $("session-replay-btn").addEventListener("click", async () => {
+    if (state.replay) {
+      stopReplay();
+      return;
+    }
+    const source = getReplaySource();
+    const entries = filterRecording(source.entries, splitFilters($("session-include").value), splitFilters($("session-exclude").value));
+    if (!entries.length) {
+      toast("No messages match the filters", "error");
+      return;
+    }
+    try {
+      const { replayed, cancelled } = await replayRecording(entries, {
+        mode: $("session-mode").value,
+        speed: REPLAY_SPEEDS[$("session-speed").value],
+      });
+      toast(`${cancelled ? "Replay stopped" : "Replay finished"} · ${replayed} messages`, "ok");
+    } catch (err) {
+      toast(`Replay failed: ${err.message}`, "error");
+    }
+  });
+  setInterval(() => {
+    if (state.recording) renderSessionStatus();
+  }, 1000);
+  renderSessionPanel();
+}
+
+// Pinned topics
+
+function togglePin(topic) {
+  if (state.pinnedTopics[topic]) return unpinTopic(topic);
+  if (!isConnected()) return;
+  state.pinnedTopics[topic] = { lastMsg: null };
+  renderPinnedRow();
+  renderSidebar();
+}
+
+function unpinTopic(topic) {
+  if (!state.pinnedTopics[topic]) return;
+  delete state.pinnedTopics[topic];
+  renderPinnedRow();
+  renderSidebar();
+}
+
+function unpinAllTopics() {
+  state.pinnedTopics = {};
+  renderPinnedRow();
+}
+
+function renderPinnedRow() {
+  const row = $("pinned-row");
+  const pinned = Object.entries(state.pinnedTopics);
+  row.hidden = !pinned.length;
+  row.innerHTML = "";
+
+  for (const [topic, entry] of pinned) {
+    const id = cssId(topic);
+    const safe = escHtml(topic);
+    const msg = entry.lastMsg !== null ? escHtml(entry.lastMsg) : "Waiting…";
+
+    const card = document.createElement("div");
+    card.className = "watch-card";
+    card.id = `watch-card-${id}`;
+    card.innerHTML = `
+      <div class="watch-card-header">
+        <span class="watch-card-name" title="${safe}">${safe}</span>
+        <button class="watch-card-unpin" aria-label="Unpin ${safe}">✕</button>
+      </div>
+      <div class="watch-card-msg" id="watch-msg-${id}">${msg}</div>
+      ${state.plotPaths[topic]?.length ? `<canvas class="watch-card-plot" id="watch-plot-${id}" height="56" aria-label="Plot of ${safe}"></canvas>` : ""}
+    `;
+    card.querySelector(".watch-card-unpin").addEventListener("click", () => unpinTopic(topic));
+    row.appendChild(card);
+  }
+  syncPlotTicker();
+}
+
+function updateWatchCard(topic) {
+  const entry = state.pinnedTopics[topic];
+  if (!entry) return;
+  const el = $(`watch-msg-${cssId(topic)}`);
+  if (el && entry.lastMsg !== null) {
+    el.textContent = prettyJson(entry.lastMsg);
+  }
+}
+
+// Core MQTT tool implementations
+
+const PUBLISH_ACK_TIMEOUT_MS = 10000;
+
+function isMqtt5() {
+  return state.mqttClient?.options?.protocolVersion === 5;
+}
+
+// Normalizes the tool-facing publish parameters into mqtt.js publish options.
+function buildPublishOptions({ qos = 0, retain = false, content_type, response_topic, message_expiry, user_properties } = {}) {
+  if (![0, 1, 2].includes(qos)) throw new Error("qos must be 0, 1 or 2");
+  const opts = { qos, retain: !!retain };
+  const properties = {};
+  if (content_type) properties.contentType = content_type;
+  if (response_topic) properties.responseTopic = response_topic;
+  if (message_expiry !== undefined) {
+    if (!(Number.isInteger(message_expiry) && message_expiry >= 0)) throw new Error("message_expiry must be a whole number of seconds");
+    properties.messageExpiryInterval = message_expiry;
+  }
+  if (user_properties && Object.keys(user_properties).length) {
+    properties.userProperties = Object.fromEntries(
+      Object.entries(user_properties).map(([k, v]) => [k, String(v)]),
+    );
+  }
+  if (Object.keys(properties).length) {
+    if (!isMqtt5()) throw new Error("MQTT 5 properties require an MQTT 5 connection — enable MQTT 5 in the connection settings");
+    opts.properties = properties;
+  }
+  return opts;
+}
+
+// Publishes and resolves once the broker has acknowledged the message
+// (PUBACK for QoS 1, PUBCOMP for QoS 2, write-out for QoS 0).
+function publishMessage(topic, payload, opts = {}) {
+  if (isWildcard(topic)) return Promise.reject(new Error(`Cannot publish to wildcard filter ${topic}`));
+  if (!isConnected()) return Promise.reject(new Error("Not connected"));
+  try {
+    assertArmed();
+    checkPublishRate(topic);
+  } catch (err) {
+    return Promise.reject(err);
+  }
+  const qos = opts.qos || 0;
+  return new Promise((resolve, reject) => {
+    const timer = qos > 0 ? setTimeout(() => {
+      reject(new Error(`No ${qos === 1 ? "PUBACK" : "PUBCOMP"} from broker within ${PUBLISH_ACK_TIMEOUT_MS / 1000}s`));
+    }, PUBLISH_ACK_TIMEOUT_MS) : null;
+    state.mqttClient.publish(topic, payload, opts, (err, packet) => {
+      clearTimeout(timer);
+      if (err) {
+        const code = err.code ?? packet?.reasonCode;
+        reject(new Error(code !== undefined ? `Broker rejected publish (reason ${code}): ${err.message}` : err.message));
+        return;
+      }
+      resolve({
+        qos,
+        retain: !!opts.retain,
+        ack: qos === 0 ? "none" : qos === 1 ? "puback" : "pubcomp",
+        reason_code: packet?.reasonCode ?? (qos > 0 ? 0 : undefined),
+      });
+    });
+  });
+}
+
+// Adds `encoding` to tool results for topics that are not plain UTF-8.
+function encodingTag(topic) {
+  const { codec } = getTopicCodec(topic);
+  return codec === "utf8" ? {} : { encoding: codec };
+}
+
+const PUBLISH_OPTION_PARAMS = {
+  encoding:        { type: "string", enum: Object.keys(CODECS), description: "Payload encoding. Defaults to the topic's configured decoder; structured encodings (cbor, msgpack, protobuf) take a JSON payload." },
+  qos:             { type: "number", enum: [0, 1, 2], description: "Quality of service (default 0). With 1 or 2 the result reports the broker's acknowledgement.", default: 0 },
+  retain:          { type: "boolean", description: "Ask the broker to retain the message (default false)", default: false },
+  content_type:    { type: "string", description: "MQTT 5 content type, e.g. application/json" },
+  response_topic:  { type: "string", description: "MQTT 5 response topic" },
+  message_expiry:  { type: "number", description: "MQTT 5 message expiry interval in seconds" },
+  user_properties: { type: "object", additionalProperties: { type: "string" }, description: "MQTT 5 user properties as key/value strings" },
+};
+
+// `topic` may be an MQTT wildcard filter; resolves with { topic, payload }
+// where topic is the concrete topic the message arrived on.
+function subscribeOnce(topic, timeoutMs = 5000) {
+  if (!isConnected()) return Promise.reject(new Error("Not connected"));
+  return new Promise((resolve, reject) => {
+    const callbacks = (state.onceCallbacks[topic] ??= []);
+    const timer = setTimeout(() => {
+      const idx = callbacks.indexOf(cb);
+      if (idx !== -1) callbacks.splice(idx, 1);
+      reject(new Error(`Timeout waiting for message on ${topic}`));
+    }, timeoutMs);
+    function cb(payload, received) {
+      clearTimeout(timer);
+      resolve({ topic: received, payload });
+    }
+    callbacks.push(cb);
+  });
+}
+
+// Collects { topic, payload } for every message matching `topic` (a topic or
+// wildcard filter) until the duration elapses or maxMessages arrive.
+function subscribeForDuration(topic, durationSec, { maxMessages = 100, signal, onMessage } = {}) {
+  if (!isConnected()) throw new Error("Not connected");
+  const collected = [];
+  const listeners = (state.topicListeners[topic] ??= new Set());
+
+  return new Promise((resolve, reject) => {
+    const finish = () => {
+      clearTimeout(timer);
+      listeners.delete(cb);
+      signal?.removeEventListener("abort", onAbort);
+    };
+    const cb = (payload, received) => {
+      collected.push({ topic: received, payload });
+      onMessage?.(collected.length);
+      if (collected.length >= maxMessages) {
+        finish();
+        resolve(collected);
+      }
+    };
+    const onAbort = () => {
+      finish();
+      reject(signal.reason);
+    };
+    listeners.add(cb);
+    const timer = setTimeout(() => {
+      finish();
+      resolve(collected);
+    }, durationSec * 1000);
+    if (signal?.aborted) onAbort();
+    else signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+const CONDITION_OPS = ["==", "!=", "<", "<=", ">", ">=", "contains", "exists"];
+const WAIT_MAX_SEC = 600;
+
+function looselyEqual(a, b) {
+  if ((a && typeof a === "object") || (b && typeof b === "object")) return JSON.stringify(a) === JSON.stringify(b);
+  return a === b || String(a) === String(b);
+}
+
+function evaluateCondition(actual, op, expected) {
+  switch (op) {
+    case "exists":   return actual !== undefined && actual !== null;
+    case "==":       return looselyEqual(actual, expected);
+    case "!=":       return !looselyEqual(actual, expected);
+    case "contains": return typeof actual === "string"
+      ? actual.includes(String(expected))
+      : Array.isArray(actual) && actual.some(v => looselyEqual(v, expected));
+    default: {
+      const a = toNumber(actual);
+      const b = toNumber(expected);
+      if (Number.isNaN(a) || Number.isNaN(b)) return false;
+      if (op === "<") return a < b;
+      if (op === "<=") return a <= b;
+      if (op === ">") return a > b;
+      return a >= b;
+    }
+  }
+}
+
+// Resolves with the first message on `filter` whose value at `path` satisfies
+// the condition, or with a timeout result carrying the last value seen.
+function waitForCondition(filter, { path = "", op, value, timeoutSec, signal, onMessage }) {
+  if (!isConnected()) return Promise.reject(new Error("Not connected"));
+  if (!CONDITION_OPS.includes(op)) return Promise.reject(new Error(`op must be one of ${CONDITION_OPS.join(" ")}`));
+  const listeners = (state.topicListeners[filter] ??= new Set());
+  const t0 = Date.now();
+  let seen = 0;
+  let last = null;
+
+  return new Promise((resolve, reject) => {
+    const finish = () => {
+      clearTimeout(timer);
+      listeners.delete(cb);
+      signal?.removeEventListener("abort", onAbort);
+    };
+    const cb = (raw, topic) => {
+      const parsed = typeof raw === "string" ? parsePayload(raw) : raw;
+      const actual = getJsonPath(parsed, path);
+      seen++;
+      last = { topic, value: actual };
+      onMessage?.(seen, last);
+      if (!evaluateCondition(actual, op, value)) return;
+      finish();
+      resolve({
+        matched: true,
+        topic,
+        value: actual,
+        payload: parsed,
+        elapsed_sec: (Date.now() - t0) / 1000,
+      });
+    };
+    const onAbort = () => {
+      finish();
+      reject(signal.reason);
+    };
+    listeners.add(cb);
+    const timer = setTimeout(() => {
+      finish();
+      resolve({
+        matched: false,
+        timed_out: true,
+        messages_seen: seen,
+        last_topic: last?.topic ?? null,
+        last_value: last ? last.value ?? null : null,
+      });
+    }, timeoutSec * 1000);
+    if (signal?.aborted) onAbort();
+    else signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// Tools
+
+const TOOLS = [
+  {
+    name: "connect_to_broker",
+    description: "Connect to a saved broker profile by name, or set the MQTT broker WebSocket URL and reconnect. Credentials and session options are saved for that broker; omit them to reuse the saved ones.",
+    parameters: {
+      type: "object",
+      properties: {
+        profile:   { type: "string", description: "Name of a saved connection profile. When set, the other fields are ignored." },
+        ip:        { type: "string", description: "MQTT broker host IP or hostname", default: "broker.hivemq.com" },
+        port:      { type: "number", description: "MQTT WebSocket port (8884 for wss, 9001 for local ws)", default: 8884 },
+        username:  { type: "string", description: "Broker username" },
+        password:  { type: "string", description: "Broker password" },
+        client_id: { type: "string", description: "MQTT client ID (random if omitted)" },
+        keepalive: { type: "number", description: "Keepalive interval in seconds (default 60)" },
+        clean:     { type: "boolean", description: "Clean session (default true). Requires client_id when false." },
+        mqtt5:     { type: "boolean", description: "Connect with MQTT 5 (needed for publish properties). Default false (MQTT 3.1.1)." },
+      },
+    },
+    handler: async ({ profile: profileName, ip, port = 8884, username, password, client_id, keepalive, clean, mqtt5 }) => {
+      if (profileName) {
+        const profile = findProfile(profileName);
+        if (!profile) {
+          const names = state.profiles.map(p => p.name).join(", ");
+          throw new Error(`Unknown profile "${profileName}". Available: ${names || "none"}`);
+        }
+        connectProfile(profile);
+        return { status: "connecting", profile: profile.name, url: redactUrl(profile.url), topic_prefix: profile.topicPrefix || "" };
+      }
+      if (!ip) throw new Error("Provide either profile or ip");
+      const proto = location.protocol === "https:" ? "wss" : "ws";
+      const url = `${proto}://${ip}:${port}/mqtt`;
+      const protocolVersion = mqtt5 === undefined ? undefined : mqtt5 ? 5 : 4;
+      const overrides = { username, password, clientId: client_id, keepalive, clean, protocolVersion };
+      if (Object.values(overrides).some(v => v !== undefined)) {
+        const settings = { ...getConnSettings(url) };
+        for (const [key, val] of Object.entries(overrides)) {
+          if (val !== undefined) settings[key] = val;
+        }
+        validateBrokerSettings(settings);
+        saveConnSettings(url, settings);
+      }
       $("url-input").value = url;
       connect(url);
-      return { status: "connecting", url };
+      const saved = getConnSettings(url);
+      return { status: "connecting", url, authenticated: !!saved.username, client_id: saved.clientId || null };
     },
   },
   {
@@ -744,38 +2937,186 @@ const TOOLS = [
     parameters: { type: "object", properties: {} },
     handler: async () => ({ topics: state.seenTopics }),
   },
+  {
+    name: "list_devices",
+    description: "List devices that announced themselves on devices/<id>, with their announced topics, online state, and first/last seen times.",
+    parameters: { type: "object", properties: {} },
+    handler: async () => ({
+      devices: listDevices().map(d => ({
+        id: d.id,
+        online: d.online,
+        status: d.status,
+        topics: d.topics,
+        tools: Object.values(state.deviceTools).filter(t => t.deviceId === d.id).map(t => t.name),
+        first_seen: new Date(d.firstSeen).toISOString(),
+        last_seen: new Date(d.lastSeen).toISOString(),
+      })),
+    }),
+  },
   {
     name: "subscribe_once",
-    description: "Wait for the next message on an MQTT topic and return its payload.",
+    description: "Wait for the next message on an MQTT topic or wildcard filter (+ for one level, # for the rest) and return its payload and concrete topic.",
     parameters: {
       type: "object",
       properties: {
-        topic:   { type: "string", description: "MQTT topic, e.g. devices/d4e9f4a2a044/led/command" },
+        topic:   { type: "string", description: "MQTT topic or filter, e.g. devices/d4e9f4a2a044/led/command or devices/+/status" },
         timeout: { type: "number", description: "Timeout in seconds (default 5)", default: 5 },
       },
       required: ["topic"],
     },
     handler: async ({ topic, timeout = 5 }) => {
       const msg = await subscribeOnce(topic, timeout * 1000);
-      if (state.selected?.name === topic) showMsgCard(msg);
-      return { topic, payload: msg };
+      if (state.selected?.name === topic || state.selected?.name === msg.topic) showMsgCard(msg.payload, msg.topic);
+      return { ...(msg.topic !== topic ? { filter: topic } : {}), ...msg, ...encodingTag(msg.topic) };
     },
   },
   {
     name: "subscribe_for_duration",
-    description: "Collect all messages on an MQTT topic for a given duration.",
+    description: "Collect all messages on an MQTT topic or wildcard filter for a given duration. Each message is tagged with its concrete topic.",
     parameters: {
       type: "object",
       properties: {
-        topic:        { type: "string" },
+        topic:        { type: "string", description: "MQTT topic or filter, e.g. sensors/#" },
         duration:     { type: "number", description: "Duration in seconds" },
         max_messages: { type: "number", description: "Stop after this many messages", default: 100 },
       },
       required: ["topic", "duration"],
     },
-    handler: async ({ topic, duration, max_messages = 100 }) => {
-      const msgs = await subscribeForDuration(topic, duration, max_messages);
-      return { topic, messages: msgs, count: msgs.length };
+    handler: async ({ topic, duration, max_messages = 100 }, { progress } = {}) => {
+      let collected = 0;
+      const tracker = progress ? startProgress(progress, () => ({ collected, of_seconds: duration })) : NO_PROGRESS;
+      const msgs = await subscribeForDuration(topic, duration, {
+        maxMessages: max_messages,
+        signal: haltSignal(),
+        onMessage: (n) => {
+          collected = n;
+          tracker.update();
+        },
+      }).finally(tracker.stop);
+      const messages = msgs.map(m => ({ ...m, ...encodingTag(m.topic) }));
+      return { topic, messages, count: messages.length };
+    },
+  },
+  {
+    name: "wait_for_condition",
+    description: "Wait until a message on a topic (or +/# wildcard filter) satisfies a condition on a JSON-path value, e.g. path 'battery' op '<' value 20, or path 'status' op '==' value 'arrived'. Returns the matching message, or a timeout result with the last value seen. Only messages arriving after the call are checked; use get_topic_history for the current value.",
+    parameters: {
+      type: "object",
+      properties: {
+        topic:   { type: "string", description: "MQTT topic or wildcard filter, e.g. robots/+/status" },
+        path:    { type: "string", description: "JSON path into the payload, e.g. 'battery', 'pose.x' or 'cells[0]'. Empty for the whole payload.", default: "" },
+        op:      { type: "string", enum: CONDITION_OPS, description: "Comparison operator. < <= > >= compare numerically; contains works on strings and arrays; exists ignores value." },
+        value:   { type: ["string", "number", "boolean"], description: "Value to compare against" },
+        timeout: { type: "number", description: `Timeout in seconds (default 30, max ${WAIT_MAX_SEC})`, default: 30 },
+      },
+      required: ["topic", "op"],
+    },
+    handler: async ({ topic, path = "", op, value, timeout = 30 }, { progress } = {}) => {
+      if (op !== "exists" && value === undefined) throw new Error(`value is required for op ${op}`);
+      const timeoutSec = Math.min(Math.max(Number(timeout) || 30, 0.1), WAIT_MAX_SEC);
+      let seen = 0;
+      let last;
+      const tracker = progress
+        ? startProgress(progress, () => ({ messages_seen: seen, ...(last ? { last_value: last.value ?? null } : {}) }))
+        : NO_PROGRESS;
+      const result = await waitForCondition(topic, {
+        path, op, value, timeoutSec,
+        signal: haltSignal(),
+        onMessage: (n, l) => {
+          seen = n;
+          last = l;
+          tracker.update();
+        },
+      }).finally(tracker.stop);
+      return { condition: `${path || "payload"} ${op}${op === "exists" ? "" : ` ${JSON.stringify(value)}`}`, ...result };
+    },
+  },
+  {
+    name: "get_topic_history",
+    description: `Return recently received messages on a topic from the dashboard's history buffer (up to ${HISTORY_MAX} per topic), without waiting. Use this instead of subscribe_for_duration to see what already happened.`,
+    parameters: {
+      type: "object",
+      properties: {
+        topic:         { type: "string", description: "Exact MQTT topic" },
+        last:          { type: "number", description: "Return at most this many of the newest messages (default 20)", default: 20 },
+        since_seconds: { type: "number", description: "Only messages received within this many seconds" },
+      },
+      required: ["topic"],
+    },
+    handler: async ({ topic, last = 20, since_seconds }) => {
+      const entries = queryHistory(topic, { last, sinceSec: since_seconds });
+      return {
+        topic,
+        count: entries.length,
+        stored: state.topicHistory[topic]?.length || 0,
+        messages: entries.map(e => ({
+          time: new Date(e.ts).toISOString(),
+          payload: e.value ?? e.payload,
+          retain: e.retain,
+          qos: e.qos,
+          ...(e.codec ? { encoding: e.codec } : {}),
+        })),
+      };
+    },
+  },
+  {
+    name: "start_recording",
+    description: "Start recording every message received from the broker (topic, payload, time, qos, retain) into an in-memory session log.",
+    parameters: { type: "object", properties: {} },
+    handler: async () => {
+      startRecording();
+      return { recording: true, started: new Date(state.recording.startedAt).toISOString() };
+    },
+  },
+  {
+    name: "stop_recording",
+    description: "Stop the current recording. The user can download it as JSONL; it becomes the source for replay_recording.",
+    parameters: { type: "object", properties: {} },
+    handler: async () => {
+      const rec = stopRecording();
+      const topics = [...new Set(rec.entries.map(e => e.topic))];
+      return {
+        recording: false,
+        messages: rec.entries.length,
+        duration_sec: Math.round((rec.stoppedAt - rec.startedAt) / 1000),
+        topics: topics.slice(0, 50),
+      };
+    },
+  },
+  {
+    name: "replay_recording",
+    description: "Replay the loaded JSONL file (or the last recording) with its original timing. mode 'dashboard' feeds messages into the dashboard only; 'broker' republishes them (without the retain flag) under the safety limits, stopping at the first rejected message.",
+    parameters: {
+      type: "object",
+      properties: {
+        mode:    { type: "string", enum: ["dashboard", "broker"], description: "Where to replay (default dashboard)", default: "dashboard" },
+        speed:   { type: "string", enum: Object.keys(REPLAY_SPEEDS), description: "Playback speed multiplier, or max for no delays (default 1)", default: "1" },
+        include: { type: "array", items: { type: "string" }, description: "Only replay topics matching these MQTT filters" },
+        exclude: { type: "array", items: { type: "string" }, description: "Skip topics matching these MQTT filters" },
+        wait:    { type: "boolean", description: "Wait for the replay to finish before returning (default false)", default: false },
+      },
+    },
+    // Approval rules for a topic must see every topic a broker replay publishes to.
+    callTopics: ({ mode = "dashboard", include = [], exclude = [] }) => {
+      if (mode !== "broker") return [];
+      const entries = filterRecording(getReplaySource()?.entries || [], include, exclude);
+      return [...new Set(entries.map(e => e.topic))];
+    },
+    handler: async ({ mode = "dashboard", speed = "1", include = [], exclude = [], wait = false }) => {
+      const source = getReplaySource();
+      if (!source?.entries.length) throw new Error("No recording to replay — record a session or load a JSONL file first");
+      if (!(String(speed) in REPLAY_SPEEDS)) throw new Error(`speed must be one of ${Object.keys(REPLAY_SPEEDS).join(", ")}`);
+      const entries = filterRecording(source.entries, include, exclude);
+      if (!entries.length) throw new Error("No messages match the filters");
+      const run = replayRecording(entries, { mode, speed: REPLAY_SPEEDS[String(speed)] });
+      if (wait) return { source: source.name, ...(await run) };
+      run.catch(err => toast(`Replay failed: ${err.message}`, "error"));
+      return {
+        status: "replaying",
+        source: source.name,
+        messages: entries.length,
+        recorded_duration_sec: Math.round((entries.at(-1).ts - entries[0].ts) / 1000),
+      };
     },
   },
   {
@@ -786,13 +3127,25 @@ const TOOLS = [
       properties: {
         topic:   { type: "string", description: "MQTT topic to publish to" },
         payload: { type: "string", description: "Message payload, e.g. 'true', 'false', or a JSON string" },
+        ...PUBLISH_OPTION_PARAMS,
       },
       required: ["topic", "payload"],
     },
-    handler: async ({ topic, payload }) => {
+    handler: async ({ topic, payload, encoding, ...options }) => {
       if (!isConnected()) throw new Error("Not connected");
-      state.mqttClient.publish(topic, payload);
-      return { published: true, topic, payload };
+      const opts = buildPublishOptions(options);
+      const enc = encoding || getTopicCodec(topic).codec;
+      const safe = applySafetyLimits(topic, payload);
+      const data = await encodePayload(topic, safe.payload, enc);
+      const outcome = await publishMessage(topic, data, opts);
+      return {
+        published: true,
+        topic,
+        payload: safe.payload,
+        ...(safe.clamped.length ? { clamped: safe.clamped } : {}),
+        ...(enc !== "utf8" ? { encoding: enc } : {}),
+        ...outcome,
+      };
     },
   },
   {
@@ -804,23 +3157,266 @@ const TOOLS = [
         topic:     { type: "string" },
         payloads:  { type: "array", items: { type: "string" }, description: "Array of message payloads" },
         durations: { type: "array", items: { type: "number" }, description: "Delay in seconds after each message" },
+        ...PUBLISH_OPTION_PARAMS,
       },
       required: ["topic", "payloads", "durations"],
     },
-    handler: async ({ topic, payloads, durations }) => {
+    handler: async ({ topic, payloads, durations, encoding, ...options }, { progress } = {}) => {
       if (!isConnected()) throw new Error("Not connected");
-      for (let i = 0; i < payloads.length; i++) {
-        state.mqttClient.publish(topic, payloads[i]);
-        await sleep((durations[i] || 0) * 1000);
+      const signal = haltSignal();
+      const opts = buildPublishOptions(options);
+      checkSequenceDuration(topic, durations);
+      const encoded = [];
+      const clamped = [];
+      for (const [i, text] of payloads.entries()) {
+        let safe;
+        try {
+          safe = applySafetyLimits(topic, text);
+        } catch (err) {
+          throw Object.assign(new Error(`Step ${i + 1}/${payloads.length}: ${err.message}`), { name: err.name });
+        }
+        clamped.push(...safe.clamped.map(c => `step ${i + 1} ${c}`));
+        encoded.push(await encodePayload(topic, safe.payload, encoding));
       }
-      return { published: payloads.length, topic };
+      let acknowledged = 0;
+      let step = 0;
+      const tracker = progress ? startProgress(progress, () => ({ step, of: payloads.length })) : NO_PROGRESS;
+      try {
+        for (let i = 0; i < payloads.length; i++) {
+          step = i + 1;
+          tracker.update();
+          try {
+            await publishMessage(topic, encoded[i], opts);
+          } catch (err) {
+            throw Object.assign(
+              new Error(`Step ${i + 1}/${payloads.length} failed after ${acknowledged} acknowledged: ${err.message}`),
+              { name: err.name },
+            );
+          }
+          if (opts.qos > 0) acknowledged++;
+          try {
+            await sleep((durations[i] || 0) * 1000, signal);
+          } catch (err) {
+            throw Object.assign(new Error(`Stopped after step ${i + 1}/${payloads.length}: ${err.message}`), { name: err.name });
+          }
+        }
+      } finally {
+        tracker.stop();
+      }
+      const result = { published: payloads.length, topic, qos: opts.qos, retain: opts.retain };
+      if (opts.qos > 0) result.acknowledged = acknowledged;
+      if (clamped.length) result.clamped = clamped;
+      return result;
     },
   },
 ];
 
+// Device capability tools
+//
+// An announcement may list capabilities alongside its topics:
+//   {"topics": [...], "capabilities": [{"name": "set_led", "description": "...",
+//    "topic": "devices/<id>/led/command", "schema": {"type": "boolean"}}]}
+// Each one becomes a typed tool while the device is online. Non-object schemas
+// are wrapped as {value}; the payload is published as the raw string or JSON.
+// Announcements are unauthenticated, so a capability may only target its own
+// device's topics, its description is shortened to plain text, and its schema
+// may only use the keywords validateSchema checks.
+
+const TOOL_NAME_MAX = 64;
+const CAP_DESCRIPTION_MAX = 200;
+const CAP_SCHEMA_DEPTH_MAX = 4;
+const CAP_SCHEMA_TYPES = ["string", "number", "integer", "boolean", "object", "array", "null"];
+const CAP_SCHEMA_NUMBERS = ["minimum", "maximum", "exclusiveMinimum", "exclusiveMaximum"];
+const CAP_SCHEMA_COUNTS = ["minLength", "maxLength", "minItems", "maxItems"];
+
+function deviceToolName(deviceId, capName) {
+  return `device_${deviceId}_${capName}`.replace(/[^a-zA-Z0-9_-]/g, "_").slice(0, TOOL_NAME_MAX);
+}
+
+function cleanCapText(text) {
+  return String(text).replace(/[\u0000-\u001f\u007f<>`]/g, " ").replace(/\s+/g, " ").trim().slice(0, CAP_DESCRIPTION_MAX);
+}
+
+function isScalar(value) {
+  return value === null || ["string", "number", "boolean"].includes(typeof value);
+}
+
+// Returns a copy of an announced schema limited to the allowed keywords, or
+// null if it uses anything else or a keyword has the wrong shape.
+function sanitizeCapSchema(schema, depth = 0) {
+  if (!schema || typeof schema !== "object" || Array.isArray(schema) || depth > CAP_SCHEMA_DEPTH_MAX) return null;
+  const out = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === "type") {
+      const types = [].concat(value);
+      if (!types.length || !types.every(t => CAP_SCHEMA_TYPES.includes(t))) return null;
+      out.type = value;
+    } else if (key === "description") {
+      if (typeof value !== "string") return null;
+      out.description = cleanCapText(value);
+    } else if (key === "enum") {
+      if (!Array.isArray(value) || !value.length || value.length > 50 || !value.every(isScalar)) return null;
+      out.enum = value;
+    } else if (key === "const" || key === "default") {
+      if (!isScalar(value)) return null;
+      out[key] = value;
+    } else if (CAP_SCHEMA_NUMBERS.includes(key)) {
+      if (!Number.isFinite(value)) return null;
+      out[key] = value;
+    } else if (CAP_SCHEMA_COUNTS.includes(key)) {
+      if (!Number.isInteger(value) || value < 0) return null;
+      out[key] = value;
+    } else if (key === "pattern") {
+      if (typeof value !== "string" || value.length > CAP_DESCRIPTION_MAX) return null;
+      try {
+        new RegExp(value);
+      } catch {
+        return null;
+      }
+      out.pattern = value;
+    } else if (key === "items") {
+      out.items = sanitizeCapSchema(value, depth + 1);
+      if (!out.items) return null;
+    } else if (key === "properties") {
+      if (!value || typeof value !== "object" || Array.isArray(value)) return null;
+      out.properties = {};
+      for (const [name, child] of Object.entries(value)) {
+        out.properties[name] = sanitizeCapSchema(child, depth + 1);
+        if (!out.properties[name]) return null;
+      }
+    } else if (key === "required") {
+      if (!Array.isArray(value) || !value.every(k => typeof k === "string")) return null;
+      out.required = value;
+    } else if (key === "additionalProperties") {
+      if (typeof value !== "boolean") return null;
+      out.additionalProperties = value;
+    } else {
+      return null;
+    }
+  }
+  return out;
+}
+
+// Drops capabilities that target another device's topics or whose schema
+// cannot be sanitized.
+function parseCapabilities(deviceId, list) {
+  if (!Array.isArray(list)) return [];
+  const ownPrefix = `${DEVICE_PREFIX}${deviceId}/`;
+  return list.flatMap((c) => {
+    if (!c || typeof c.name !== "string" || !c.name || typeof c.topic !== "string") return [];
+    if (!c.topic.startsWith(ownPrefix) || isWildcard(c.topic)) return [];
+    const schema = c.schema === undefined ? { type: "string" } : sanitizeCapSchema(c.schema);
+    if (!schema) return [];
+    const description = typeof c.description === "string" ? cleanCapText(c.description) : "";
+    return [{ name: c.name, topic: c.topic, schema, ...(description ? { description } : {}), ...(c.qos !== undefined ? { qos: c.qos } : {}) }];
+  });
+}
+
+function buildDeviceTool(device, cap) {
+  const schema = cap.schema;
+  const wrapped = schema.type !== "object";
+  const qos = [0, 1, 2].includes(cap.qos) ? cap.qos : 0;
+  return {
+    name: deviceToolName(device.id, cap.name),
+    description: `${cap.description || cap.name} (device ${device.id}, publishes to ${cap.topic})`,
+    parameters: wrapped
+      ? { type: "object", properties: { value: schema }, required: ["value"] }
+      : schema,
+    deviceId: device.id,
+    topic: cap.topic,
+    handler: async (input = {}) => {
+      const value = wrapped ? input.value : input;
+      if (value === undefined) throw new Error("Missing value");
+      const errors = validateSchema(schema, value);
+      if (errors.length) throw new Error(`Invalid value for ${cap.name}: ${errors.join("; ")}`);
+      const safe = applySafetyLimits(cap.topic, typeof value === "string" ? value : JSON.stringify(value));
+      const outcome = await publishMessage(cap.topic, safe.payload, { qos });
+      return {
+        published: true,
+        device: device.id,
+        topic: cap.topic,
+        payload: safe.payload,
+        ...(safe.clamped.length ? { clamped: safe.clamped } : {}),
+        ...outcome,
+      };
+    },
+  };
+}
+
+// Registers the tools for an online device's capabilities and removes any
+// that no longer apply (capability dropped, device offline or cleared).
+function syncDeviceTools(deviceId) {
+  const device = state.devices[deviceId];
+  const next = new Map();
+  if (device?.online) {
+    for (const cap of device.capabilities || []) {
+      const tool = buildDeviceTool(device, cap);
+      if (!next.has(tool.name) && !TOOLS.some(t => t.name === tool.name)) next.set(tool.name, tool);
+    }
+  }
+  let changed = false;
+  for (const [name, tool] of Object.entries(state.deviceTools)) {
+    if (tool.deviceId !== deviceId || next.has(name)) continue;
+    delete state.deviceTools[name];
+    unregisterWebMCPTool(name);
+    changed = true;
+  }
+  for (const [name, tool] of next) {
+    const existing = state.deviceTools[name];
+    if (existing && JSON.stringify(existing.parameters) === JSON.stringify(tool.parameters)
+      && existing.description === tool.description) continue;
+    if (existing) unregisterWebMCPTool(name);
+    state.deviceTools[name] = tool;
+    if (navigator.modelContext) registerWebMCPTool(tool);
+    changed = true;
+  }
+  if (changed) updateWebMCPBadge(countWebMCPTools());
+}
+
+function clearDeviceTools() {
+  for (const name of Object.keys(state.deviceTools)) unregisterWebMCPTool(name);
+  state.deviceTools = {};
+  updateWebMCPBadge(countWebMCPTools());
+}
+
+// Static tools plus the tools generated from device capabilities.
+function getTools() {
+  return [...TOOLS, ...Object.values(state.deviceTools)];
+}
+
 // WebMCP tool registration
 
 let _webmcpActive = false;
+const _webmcpRegistered = new Set();
+
+function registerWebMCPTool(tool) {
+  try {
+    navigator.modelContext.registerTool({
+      name: tool.name,
+      description: tool.description,
+      inputSchema: tool.parameters,
+      execute: (params) => chatExecuteToolCall(tool.name, params),
+    });
+    _webmcpRegistered.add(tool.name);
+    return true;
+  } catch (err) {
+    console.warn(`[WebMCP] Failed to register "${tool.name}":`, err);
+    return false;
+  }
+}
+
+function unregisterWebMCPTool(name) {
+  if (!_webmcpRegistered.delete(name)) return;
+  try {
+    navigator.modelContext.unregisterTool?.(name);
+  } catch (err) {
+    console.warn(`[WebMCP] Failed to unregister "${name}":`, err);
+  }
+}
+
+function countWebMCPTools() {
+  return _webmcpRegistered.size;
+}
 
 function registerWebMCPTools() {
   if (!navigator.modelContext) {
@@ -829,23 +3425,11 @@ function registerWebMCPTools() {
     return;
   }
 
-  let registered = 0;
-  for (const tool of TOOLS) {
-    try {
-      navigator.modelContext.registerTool({
-        name: tool.name,
-        description: tool.description,
-        inputSchema: tool.parameters,
-        execute: (params) => chatExecuteToolCall(tool.name, params),
-      });
-      registered++;
-    } catch (err) {
-      console.warn(`[WebMCP] Failed to register "${tool.name}":`, err);
-    }
-  }
+  const tools = getTools();
+  for (const tool of tools) registerWebMCPTool(tool);
 
-  console.info(`[WebMCP] Registered ${registered}/${TOOLS.length} tools`);
-  updateWebMCPBadge(registered);
+  console.info(`[WebMCP] Registered ${countWebMCPTools()}/${tools.length} tools`);
+  updateWebMCPBadge(countWebMCPTools());
 }
 
 function updateWebMCPBadge(registered) {
@@ -861,6 +3445,111 @@ function updateWebMCPBadge(registered) {
   }
 }
 
+// AI approval policy
+//
+// Rules are checked in order and the first match decides: allow, deny, or
+// confirm (an approve/reject card in the chat). A rule's tool pattern is a name,
+// a name prefix ending in "*", or "*"; an optional MQTT topic filter limits it
+// to calls that target a matching topic. Unmatched calls use the default action.
+
+const APPROVAL_ACTIONS = ["allow", "confirm", "deny"];
+
+function saveApprovalPolicy() {
+  localStorage.setItem("webmcp-approval-policy", JSON.stringify(state.approvalPolicy));
+}
+
+function toolPatternMatches(pattern, name) {
+  if (pattern === "*") return true;
+  if (pattern.endsWith("*")) return name.startsWith(pattern.slice(0, -1));
+  return pattern === name;
+}
+
+// Topics a call would act on: the `topic` argument, a device tool's target,
+// or what a tool reports through `callTopics` (e.g. a broker replay's topics).
+function getToolCallTopics(tool, input) {
+  if (tool.callTopics) return tool.callTopics(input || {});
+  return [input?.topic, tool.topic].filter(t => typeof t === "string" && t);
+}
+
+function resolveApproval(tool, input) {
+  const topics = getToolCallTopics(tool, input);
+  for (const rule of state.approvalPolicy.rules) {
+    if (!toolPatternMatches(rule.tool, tool.name)) continue;
+    if (rule.topic && !topics.some(t => topicMatches(rule.topic, t))) continue;
+    return { action: rule.action, rule, topics };
+  }
+  return { action: state.approvalPolicy.defaultAction, rule: null, topics };
+}
+
+// Returns null when the call may run, or the structured error to hand back to
+// the model instead of running it.
+async function checkApproval(tool, input) {
+  const { action, rule, topics } = resolveApproval(tool, input);
+  if (action === "allow") return null;
+  const rejection = (reason) => ({
+    error: `${reason}: ${tool.name}${topics.length ? ` on ${topics.join(", ")}` : ""}`,
+    rejected: true,
+    policy: action,
+    tool: tool.name,
+    ...(topics.length ? { topic: topics[0] } : {}),
+    ...(rule ? { rule: `${rule.tool}${rule.topic ? ` ${rule.topic}` : ""}` } : {}),
+  });
+  if (action === "deny") return rejection("Denied by approval policy");
+  const approved = await requestApproval(tool, input, topics, chatState.abortCtrl?.signal);
+  return approved ? null : rejection("Rejected by user");
+}
+
+function describeToolPayload(input = {}) {
+  if ("payload" in input) return input.payload;
+  if ("payloads" in input) return input.payloads;
+  if ("value" in input) return input.value;
+  const { topic, ...rest } = input;
+  return rest;
+}
+
+// Shows an approve/reject card in the chat (opening the panel for WebMCP
+// calls) and resolves once the user decides or the chat is aborted.
+function requestApproval(tool, input, topics, signal) {
+  const panel = $("chat-panel");
+  if (panel?.hidden) $("chat-panel-toggle").click();
+
+  const container = $("chat-messages");
+  const el = document.createElement("div");
+  el.className = "chat-approval";
+  const payload = describeToolPayload(input);
+  el.innerHTML = `
+    <div class="chat-approval-header">
+      <span class="chat-tool-call-name">${escHtml(tool.name)}</span>
+      <span class="chat-approval-label">needs approval</span>
+    </div>
+    ${topics.length ? `<div class="chat-approval-topic">${escHtml(topics.join(", "))}</div>` : ""}
+    <pre class="chat-approval-payload">${escHtml(typeof payload === "string" ? payload : JSON.stringify(payload, null, 2))}</pre>
+    <div class="chat-approval-actions">
+      <button type="button" class="btn btn-sm chat-approval-reject">Reject</button>
+      <button type="button" class="btn btn-sm btn-primary chat-approval-approve">Approve</button>
+    </div>
+  `;
+  container.appendChild(el);
+  scrollChatBottom();
+
+  return new Promise((resolve) => {
+    const settle = (approved, label) => {
+      signal?.removeEventListener("abort", onAbort);
+      el.querySelector(".chat-approval-actions").remove();
+      const status = el.querySelector(".chat-approval-label");
+      status.textContent = label;
+      status.classList.add(approved ? "ok" : "error");
+      resolve(approved);
+    };
+    const onAbort = () => settle(false, "cancelled");
+    if (signal?.aborted) return onAbort();
+    signal?.addEventListener("abort", onAbort);
+    el.querySelector(".chat-approval-approve").addEventListener("click", () => settle(true, "approved"));
+    el.querySelector(".chat-approval-reject").addEventListener("click", () => settle(false, "rejected"));
+    el.querySelector(".chat-approval-approve").focus();
+  });
+}
+
 // Tool call log
 
 function appendToolLog(entry) {
@@ -904,7 +3593,7 @@ function createLogEntryEl(entry) {
       <span class="log-time">${escHtml(timeStr)}</span>
       <button class="btn btn-sm log-replay-btn" title="Replay" aria-label="Replay ${escHtml(entry.toolName)}">↺</button>
     </div>
-    <div class="log-params">${escHtml(JSON.stringify(entry.params))}</div>
+    <div class="log-params">${escHtml(JSON.stringify(redactParams(entry.params)))}</div>
     <div class="log-result${isError ? " log-result-error" : ""}">${escHtml(JSON.stringify(entry.result))}</div>
   `;
 
@@ -913,7 +3602,7 @@ function createLogEntryEl(entry) {
 }
 
 async function replayToolCall(entry) {
-  const result = await chatExecuteToolCall(entry.toolName, entry.params);
+  const result = await chatExecuteToolCall(entry.toolName, entry.params, { skipApproval: true });
   if (result.error) {
     toast(`Replay failed: ${result.error}`, "error");
   } else {
@@ -923,9 +3612,51 @@ async function replayToolCall(entry) {
 
 // Chat
 
+const TOOL_CONCURRENCY_MAX = 8;
+const COMPACT_THRESHOLD_DEFAULT = 75;
+const COMPACT_THRESHOLD_MAX = 95;
+const CUSTOM_CONTEXT_DEFAULT = 32768;
+const DEFAULT_PROXY_URL = "http://127.0.0.1:7337";
+const PROGRESS_INTERVAL_MS = 500;
+const PROGRESS_MIN_GAP_MS = 100;
+
+// Reports snapshot() plus the elapsed time to progress() right away, then
+// periodically and on update() (throttled), until stop() is called.
+function startProgress(progress, snapshot) {
+  const t0 = Date.now();
+  let lastEmit = 0;
+  let trailing = 0;
+  const emit = () => {
+    clearTimeout(trailing);
+    trailing = 0;
+    lastEmit = Date.now();
+    progress({ ...snapshot(), elapsed_sec: Math.round((lastEmit - t0) / 100) / 10 });
+  };
+  emit();
+  const timer = setInterval(emit, PROGRESS_INTERVAL_MS);
+  return {
+    update: () => {
+      const wait = PROGRESS_MIN_GAP_MS - (Date.now() - lastEmit);
+      if (wait <= 0) emit();
+      else if (!trailing) trailing = setTimeout(emit, wait);
+    },
+    stop: () => {
+      clearInterval(timer);
+      clearTimeout(trailing);
+    },
+  };
+}
+
+const NO_PROGRESS = { update() {}, stop() {} };
+
+// Starts a new conversation; the previous one stays in the saved list.
 function clearChatHistory() {
   chatState.convMsgs = [];
+  chatState.conversation = null;
+  localStorage.removeItem("webmcp-active-conversation");
   $("chat-messages").innerHTML = "";
+  updateContextMeter();
+  loadConversationUsage();
 }
 
 function resetChatBusy() {
@@ -942,7 +3673,15 @@ const chatState = {
   model: "claude-sonnet-4-6",
   claudeKey: window.DASHBOARD_CONFIG?.anthropicApiKey || localStorage.getItem("webmcp-claude-key") || "",
   githubAuth: JSON.parse(localStorage.getItem("webmcp-gh-auth") || "null"),
+  customEndpoint: loadCustomEndpoint(),
+  proxyUrl: localStorage.getItem("webmcp-proxy-url") || DEFAULT_PROXY_URL,
+  proxySecret: localStorage.getItem("webmcp-proxy-secret") || "",
+  toolConcurrency: Number(localStorage.getItem("webmcp-tool-concurrency")) || 4,
+  compactThreshold: Number(localStorage.getItem("webmcp-compact-threshold") ?? COMPACT_THRESHOLD_DEFAULT),
+  usageBudget: Number(localStorage.getItem("webmcp-usage-budget")) || 0,
+  usageTotals: newUsageTotals(),
   convMsgs: [],
+  conversation: null,
   abortCtrl: null,
   busy: false,
 };
@@ -957,9 +3696,36 @@ function initChat() {
   applyModelSelection(saved);
 
   sel.addEventListener("change", () => {
+    const from = messageFormat(chatState.provider);
     localStorage.setItem("webmcp-chat-model", sel.value);
     applyModelSelection(sel.value);
-    clearChatHistory();
+    const to = messageFormat(chatState.provider);
+    if (from !== to && chatState.convMsgs.length) {
+      if (chatState.busy) resetChatBusy();
+      chatState.convMsgs = convertMessages(chatState.convMsgs, from, to);
+      renderConversation();
+    }
+    persistConversation();
+    updateContextMeter();
+  });
+
+  const concurrencyInput = $("chat-tool-concurrency");
+  concurrencyInput.value = chatState.toolConcurrency;
+  concurrencyInput.addEventListener("change", () => {
+    const n = Math.round(Number(concurrencyInput.value));
+    chatState.toolConcurrency = Math.min(TOOL_CONCURRENCY_MAX, Math.max(1, n || 1));
+    concurrencyInput.value = chatState.toolConcurrency;
+    localStorage.setItem("webmcp-tool-concurrency", String(chatState.toolConcurrency));
+  });
+
+  const compactInput = $("chat-compact-threshold");
+  compactInput.value = chatState.compactThreshold;
+  compactInput.addEventListener("change", () => {
+    const pct = Math.round(Number(compactInput.value));
+    chatState.compactThreshold = Math.min(COMPACT_THRESHOLD_MAX, Math.max(0, pct || 0));
+    compactInput.value = chatState.compactThreshold;
+    localStorage.setItem("webmcp-compact-threshold", String(chatState.compactThreshold));
+    updateContextMeter();
   });
 
   $("chat-key-save").addEventListener("click", () => {
@@ -968,6 +3734,9 @@ function initChat() {
     toast("API key saved", "ok");
   });
 
+  initCustomEndpoint();
+  initProxySettings();
+
   $("chat-send").addEventListener("click", sendChatMsg);
   $("chat-input").addEventListener("keydown", (e) => {
     if (e.key === "Enter" && !e.shiftKey) {
@@ -977,6 +3746,14 @@ function initChat() {
   });
   $("chat-abort").addEventListener("click", () => chatState.abortCtrl?.abort());
   $("chat-clear").addEventListener("click", clearChatHistory);
+  $("chat-history-btn").addEventListener("click", (e) => {
+    e.stopPropagation();
+    toggleUsageView(false);
+    toggleConversationList();
+  });
+  initUsageView();
+  restoreActiveConversation();
+  updateContextMeter();
   document.addEventListener("keydown", (e) => {
     if ($("chat-panel")?.hidden) return;
     if (e.key.length !== 1 || e.ctrlKey || e.metaKey || e.altKey) return;
@@ -999,13 +3776,57 @@ function initChat() {
 function applyModelSelection(value) {
   const [provider, ...rest] = value.split(":");
   chatState.provider = provider;
-  chatState.model = rest.join(":");
+  chatState.model = provider === "openai" ? chatState.customEndpoint.model : rest.join(":");
   $("chat-claude-bar").hidden = provider !== "anthropic";
   $("chat-github-bar").hidden = provider !== "github";
+  $("chat-custom-bar").hidden = provider !== "openai";
+  $("chat-local-bar").hidden = provider !== "local";
+  if (provider === "local") checkProxyHealth();
   $("github-notice").hidden = provider !== "github" || !!localStorage.getItem("webmcp-github-notice-dismissed");
   if (provider === "github") updateGitHubAuthBar();
 }
 
+function initCustomEndpoint() {
+  const custom = chatState.customEndpoint;
+  const modelInput = $("custom-model");
+  const toolsInput = $("custom-tools");
+  $("custom-base-url").value = custom.baseUrl;
+  $("custom-api-key").value = custom.apiKey;
+  $("custom-context").value = custom.contextWindow;
+  modelInput.value = custom.model;
+  toolsInput.checked = customToolsEnabled(custom.model);
+  // The tools checkbox is remembered per model name.
+  modelInput.addEventListener("input", () => {
+    toolsInput.checked = customToolsEnabled(modelInput.value.trim());
+  });
+
+  $("custom-endpoint-save").addEventListener("click", () => {
+    const baseUrl = $("custom-base-url").value.trim();
+    if (baseUrl) {
+      try {
+        new URL(customChatUrl(baseUrl));
+      } catch {
+        toast("Enter a valid endpoint URL", "error");
+        return;
+      }
+    }
+    const model = modelInput.value.trim();
+    const contextWindow = Math.round(Number($("custom-context").value));
+    custom.baseUrl = baseUrl;
+    custom.apiKey = $("custom-api-key").value.trim();
+    custom.model = model;
+    custom.contextWindow = contextWindow >= 1024 ? contextWindow : CUSTOM_CONTEXT_DEFAULT;
+    $("custom-context").value = custom.contextWindow;
+    custom.noTools = custom.noTools.filter(m => m !== model);
+    if (!toolsInput.checked) custom.noTools.push(model);
+    saveCustomEndpoint();
+    if (chatState.provider === "openai") chatState.model = model;
+    updateChatModelLabel();
+    updateContextMeter();
+    toast("Endpoint saved", "ok");
+  });
+}
+
 function updateGitHubAuthBar() {
   const bar = $("chat-github-bar");
   if (!bar) return;
@@ -1052,18 +3873,33 @@ function getSystemPrompt() {
     "You have access to MQTT tools to inspect and control a robot via an MQTT broker.",
   ];
   if (isConnected()) {
-    lines.push(`Connected to MQTT broker at ${state.url}.`);
+    lines.push(`Connected to MQTT broker at ${redactUrl(state.url)}.`);
     const preview = state.seenTopics.slice(0, 20).join(", ");
     const ellipsis = state.seenTopics.length > 20 ? "…" : "";
     lines.push(`Known topics (${state.seenTopics.length}): ${preview}${ellipsis}`);
+    const devices = listDevices();
+    if (devices.length) {
+      lines.push(`Known devices: ${devices.map(d => `${d.id} (${d.online ? "online" : "offline"})`).join(", ")}.`);
+    }
   } else {
-    const inputUrl = $("url-input")?.value?.trim();
+    const inputUrl = redactUrl($("url-input")?.value?.trim() || "");
     const urlHint = inputUrl ? ` The URL currently configured in the dashboard is: ${inputUrl}.` : "";
     lines.push(`Not connected to MQTT broker.${urlHint} Call connect_to_broker to connect — do not ask the user for the URL unless it is missing.`);
   }
+  const profile = getActiveProfile();
+  if (profile) lines.push(`Active connection profile: "${profile.name}".`);
+  if (state.profiles?.length) {
+    lines.push(`Saved connection profiles (pass as connect_to_broker profile): ${state.profiles.map(p => p.name).join(", ")}.`);
+  }
   if (state.selected) {
     lines.push(`User is currently viewing topic "${state.selected.name}".`);
   }
+  if (state.safetyRules.length) {
+    lines.push(`Safety limits are enforced on: ${state.safetyRules.map(r => `${r.pattern} (${describeSafetyRule(r)})`).join("; ")}. Out-of-range values are clamped and invalid payloads rejected.`);
+  }
+  if (Object.keys(state.deviceTools).length) {
+    lines.push("Prefer the device_* tools for device commands; they publish correctly typed payloads.");
+  }
   lines.push(
     "Publish payloads as plain strings (e.g. 'true', 'false', '42') or JSON strings.",
     "Use the provided tools to answer questions and control the robot. Be concise.",
@@ -1072,7 +3908,7 @@ function getSystemPrompt() {
 }
 
 function getClaudeTools() {
-  return TOOLS.map((t) => ({
+  return getTools().map((t) => ({
     name: t.name,
     description: t.description,
     input_schema: t.parameters,
@@ -1080,29 +3916,102 @@ function getClaudeTools() {
 }
 
 function getOpenAITools() {
-  return TOOLS.map((t) => ({
+  return getTools().map((t) => ({
     type: "function",
     function: { name: t.name, description: t.description, parameters: t.parameters },
   }));
 }
 
-async function chatExecuteToolCall(name, input) {
-  const tool = TOOLS.find((t) => t.name === name);
+// Runs a tool requested by the chat model or a WebMCP agent, subject to the
+// approval policy. Replays from the tool log are user-initiated and skip it.
+// Long-running handlers report intermediate state through `onProgress`.
+async function chatExecuteToolCall(name, input, { skipApproval = false, onProgress = () => {} } = {}) {
+  const tool = getTools().find((t) => t.name === name);
   const t0 = Date.now();
-  const result = tool
-    ? await tool.handler(input).catch((err) => ({ error: String(err) }))
-    : { error: `Unknown tool: ${name}` };
+  const rejected = tool && !skipApproval ? await checkApproval(tool, input) : null;
+  const result = !tool
+    ? { error: `Unknown tool: ${name}` }
+    : rejected || await tool.handler(input, { progress: onProgress }).catch((err) => {
+      if (err.name === "SafetyError") toast(err.message, "error");
+      return { error: String(err) };
+    });
   appendToolLog({ toolName: name, params: input, result, ts: new Date(), durationMs: Date.now() - t0 });
   return result;
 }
 
+// Runs one assistant turn's tool calls concurrently, up to the configured
+// limit. Calls that act on the same topic still run in the order requested.
+// Calls without a topic (connect_to_broker, start_recording, ...) may change
+// state any later call depends on, so they wait for every earlier call and
+// every later call waits for them.
+async function runToolCalls(calls) {
+  const limit = Math.max(1, chatState.toolConcurrency);
+  const waiting = [];
+  let active = 0;
+  const acquire = () => {
+    if (active < limit) {
+      active++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => waiting.push(resolve));
+  };
+  const release = () => {
+    const next = waiting.shift();
+    if (next) next();
+    else active--;
+  };
+
+  const lastOnTopic = new Map();
+  const runs = [];
+  let barrier = null;
+  for (const call of calls) {
+    const tool = getTools().find(t => t.name === call.name);
+    const topics = tool ? getToolCallTopics(tool, call.input) : [];
+    const before = topics.length
+      ? [barrier, ...topics.map(t => lastOnTopic.get(t))].filter(Boolean)
+      : [...runs];
+    const run = (async () => {
+      await Promise.all(before);
+      await acquire();
+      let result;
+      try {
+        result = await chatExecuteToolCall(call.name, call.input, {
+          onProgress: (progress) => updateChatToolCallProgress(call.id, progress),
+        });
+      } finally {
+        release();
+      }
+      updateChatToolCall(call.id, result, call.input);
+      return result;
+    })();
+    for (const t of topics) lastOnTopic.set(t, run);
+    if (!topics.length) barrier = run;
+    runs.push(run);
+  }
+  return Promise.all(runs);
+}
+
 async function sendChatMsg() {
   const input = $("chat-input");
   const text = input.value.trim();
   if (!text || chatState.busy) return;
+  if (state.estopEngaged) {
+    toast("Emergency stop engaged — re-arm before sending", "error");
+    return;
+  }
 
   const key = chatState.provider === "github" ? chatState.githubAuth?.token : chatState.claudeKey;
-  if (chatState.provider !== "local" && !key) {
+  if (chatState.provider === "openai") {
+    if (!chatState.customEndpoint.baseUrl || !chatState.model) {
+      toast("Set the endpoint URL and model in Settings first", "error");
+      return;
+    }
+  } else if (chatState.provider === "local") {
+    if (!chatState.proxySecret) {
+      toast("Paste the proxy secret in Settings first", "error");
+      return;
+    }
+  } else if (!key) {
     if (chatState.provider === "github") {
       toast("Connect GitHub above", "error");
     } else {
@@ -1114,8 +4023,9 @@ async function sendChatMsg() {
   input.value = "";
   appendChatMsg("user", text);
   chatState.convMsgs.push({ role: "user", content: text });
+  persistConversation();
   chatState.busy = true;
-  chatState.abortCtrl = new AbortController();
+  const abortCtrl = chatState.abortCtrl = new AbortController();
   $("chat-send").disabled = true;
   $("chat-abort").hidden = false;
   showChatSpinner();
@@ -1123,10 +4033,11 @@ async function sendChatMsg() {
   try {
     switch (chatState.provider) {
       case "local":
-        await runConversationClaude(null, chatState.abortCtrl.signal, LOCAL_PROXY_URL);
+        await runConversationClaude(null, chatState.abortCtrl.signal, proxyUrl("/claude"));
         break;
       case "github":
-        await runConversationGitHub(key, chatState.abortCtrl.signal);
+      case "openai":
+        await runConversationOpenAI(openAIEndpoint(), chatState.abortCtrl.signal);
         break;
       default:
         await runConversationClaude(key, chatState.abortCtrl.signal);
@@ -1134,42 +4045,195 @@ async function sendChatMsg() {
   } catch (err) {
     handleStreamError(err);
   } finally {
-    resetChatBusy();
+    // A conversation opened meanwhile may already have started its own turn.
+    if (chatState.abortCtrl === abortCtrl) resetChatBusy();
+    persistConversation();
+  }
+}
+
+// AI API retries
+//
+// 429, 5xx and 529 (overloaded) responses are retried with exponential
+// backoff and jitter, or after the server's retry-after when it sends one.
+// A wait longer than RETRY_MAX_DELAY_MS (e.g. a daily quota) is not retried,
+// and neither is a response marked x-should-retry: false (the local proxy
+// sets it once it has already retried upstream).
+
+const RETRY_MAX_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 60000;
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+// Milliseconds from retry-after-ms / retry-after (seconds or HTTP date), or null.
+function parseRetryAfter(headers) {
+  const ms = Number(headers.get("retry-after-ms"));
+  if (ms > 0) return ms;
+  const value = headers.get("retry-after");
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function backoffDelay(attempt) {
+  const exp = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt);
+  return Math.round(exp * (0.5 + Math.random() / 2));
+}
+
+function describeStatus(status) {
+  if (status === 429) return "Rate limited";
+  if (status === 529) return "API overloaded";
+  return `Server error ${status}`;
+}
+
+// fetch() that retries transient failures, showing a countdown in the chat
+// spinner. Returns the last response (ok or not) and rejects on abort.
+async function fetchWithRetry(url, init) {
+  for (let attempt = 0; ; attempt++) {
+    const res = await fetch(url, init);
+    if (res.ok || !isRetryableStatus(res.status) || attempt >= RETRY_MAX_ATTEMPTS) return res;
+    if (res.headers.get("x-should-retry") === "false") return res;
+    const delay = parseRetryAfter(res.headers) ?? backoffDelay(attempt);
+    if (delay > RETRY_MAX_DELAY_MS) return res;
+    await res.body?.cancel().catch(() => {});
+    const label = `${describeStatus(res.status)} — retrying`;
+    console.warn(`[chat] ${res.status} from ${url}; retry ${attempt + 1}/${RETRY_MAX_ATTEMPTS} in ${delay} ms`);
+    const until = Date.now() + delay;
+    const tick = () => {
+      const secs = Math.max(1, Math.ceil((until - Date.now()) / 1000));
+      setChatSpinnerStatus(`${label} in ${secs}s (${attempt + 1}/${RETRY_MAX_ATTEMPTS})`);
+    };
+    tick();
+    const timer = setInterval(tick, 1000);
+    try {
+      await sleep(delay, init.signal);
+    } finally {
+      clearInterval(timer);
+      setChatSpinnerStatus("");
+    }
   }
 }
 
 // Claude conversation
 
-const LOCAL_PROXY_URL = "http://127.0.0.1:7337/claude";
+const PROXY_HEALTH_TIMEOUT_MS = 3000;
 
-async function fetchClaudeStream(apiKey, signal, url) {
+// Accepts the proxy's base URL, tolerating a pasted ".../claude" endpoint.
+function normalizeProxyUrl(url) {
+  return url.trim().replace(/\/+$/, "").replace(/\/claude$/, "");
+}
+
+function proxyUrl(path) {
+  return `${chatState.proxyUrl}${path}`;
+}
+
+function proxyAuthHeaders() {
+  return chatState.proxySecret ? { authorization: `Bearer ${chatState.proxySecret}` } : {};
+}
+
+// Probes the proxy's /health endpoint and shows the result in settings.
+async function checkProxyHealth() {
+  const dot = $("proxy-status-dot");
+  const text = $("proxy-status-text");
+  dot.className = "status-dot connecting";
+  text.textContent = "Checking…";
+  try {
+    const res = await fetch(proxyUrl("/health"), {
+      headers: proxyAuthHeaders(),
+      signal: AbortSignal.timeout(PROXY_HEALTH_TIMEOUT_MS),
+    });
+    if (!res.ok) throw await apiError(res);
+    const health = await res.json();
+    if (!health.authorized) {
+      dot.className = "status-dot error";
+      text.textContent = chatState.proxySecret ? "Online — secret rejected" : "Online — paste the secret it printed";
+      return health;
+    }
+    dot.className = "status-dot connected";
+    text.textContent = `Online · ${health.defaultModel} · ${health.maxRpm} req/min`;
+    return health;
+  } catch (err) {
+    dot.className = "status-dot error";
+    if (err.name === "TimeoutError") text.textContent = "No response — is make proxy running?";
+    else if (err.name === "TypeError") text.textContent = `Unreachable — not running, or ${location.origin} is not in its allowedOrigins`;
+    else text.textContent = `Error — ${err.message}`;
+    return null;
+  }
+}
+
+function initProxySettings() {
+  const input = $("proxy-url-input");
+  const secretInput = $("proxy-secret-input");
+  input.value = chatState.proxyUrl;
+  secretInput.value = chatState.proxySecret;
+  $("proxy-url-save").addEventListener("click", () => {
+    chatState.proxySecret = secretInput.value.trim();
+    if (chatState.proxySecret) localStorage.setItem("webmcp-proxy-secret", chatState.proxySecret);
+    else localStorage.removeItem("webmcp-proxy-secret");
+    const url = normalizeProxyUrl(input.value) || DEFAULT_PROXY_URL;
+    try {
+      new URL(url);
+    } catch {
+      toast("Enter a valid proxy URL", "error");
+      return;
+    }
+    chatState.proxyUrl = url;
+    input.value = url;
+    if (url === DEFAULT_PROXY_URL) localStorage.removeItem("webmcp-proxy-url");
+    else localStorage.setItem("webmcp-proxy-url", url);
+    checkProxyHealth();
+  });
+}
+const ANTHROPIC_MESSAGES_URL = "https://api.anthropic.com/v1/messages";
+
+function claudeHeaders(apiKey) {
   const headers = { "content-type": "application/json", "anthropic-version": "2023-06-01" };
   if (apiKey) {
     headers["x-api-key"] = apiKey;
     headers["anthropic-dangerous-direct-browser-access"] = "true";
+  } else if (chatState.provider === "local") {
+    Object.assign(headers, proxyAuthHeaders());
   }
-  const res = await fetch(url, {
+  return headers;
+}
+
+// Error for a failed API response, preferring the JSON error message
+// ({ error: { message } } from Anthropic, OpenAI and the local proxy).
+async function apiError(res) {
+  const txt = await res.text();
+  let message = txt.slice(0, 200);
+  try {
+    const data = JSON.parse(txt);
+    message = data.error?.message ?? data.message ?? message;
+  } catch {}
+  return new Error(`API ${res.status}: ${message}`);
+}
+
+async function fetchClaudeStream(apiKey, signal, url) {
+  const res = await fetchWithRetry(url, {
     method: "POST",
     signal,
-    headers,
+    headers: claudeHeaders(apiKey),
     body: JSON.stringify({
       model: chatState.model,
-      max_tokens: 4096,
+      max_tokens: CHAT_MAX_OUTPUT_TOKENS,
       system: getSystemPrompt(),
-      messages: chatState.convMsgs,
+      messages: apiMessages(),
       tools: getClaudeTools(),
       stream: true,
     }),
   });
-  if (!res.ok) {
-    const txt = await res.text();
-    throw new Error(`API ${res.status}: ${txt.slice(0, 200)}`);
-  }
+  if (!res.ok) throw await apiError(res);
   return res.body;
 }
 
-async function runConversationClaude(apiKey, signal, url = "https://api.anthropic.com/v1/messages") {
+async function runConversationClaude(apiKey, signal, url = ANTHROPIC_MESSAGES_URL) {
   while (true) {
+    await maybeCompactConversation((prompt) => summarizeWithClaude(prompt, apiKey, signal, url));
     let stream;
     try {
       stream = await fetchClaudeStream(apiKey, signal, url);
@@ -1184,10 +4248,16 @@ async function runConversationClaude(apiKey, signal, url = "https://api.anthropi
     let toolInput = "";
     let blockType = null;
     let rafId = 0;
+    const usage = emptyUsage();
 
     try {
       for await (const { event, data } of parseSSEStream(stream)) {
         switch (event) {
+          case "message_start":
+          case "message_delta": {
+            mergeClaudeUsage(usage, event === "message_start" ? data.message?.usage : data.usage);
+            break;
+          }
           case "content_block_start": {
             const block = data.content_block;
             blockType = block.type;
@@ -1242,20 +4312,29 @@ async function runConversationClaude(apiKey, signal, url = "https://api.anthropi
       return;
     }
 
-    chatState.convMsgs.push({ role: "assistant", content: contentBlocks });
+    chatState.convMsgs.push({ role: "assistant", content: contentBlocks, usage: recordUsage(usage) });
     const toolUses = contentBlocks.filter(b => b.type === "tool_use");
     if (toolUses.length === 0) {
       hideChatSpinner();
       return;
     }
 
-    const toolResults = [];
-    for (const tu of toolUses) {
-      const result = await chatExecuteToolCall(tu.name, tu.input);
-      updateChatToolCall(tu.id, result, tu.input);
-      toolResults.push({ type: "tool_result", tool_use_id: tu.id, content: JSON.stringify(result) });
-    }
+    // Opening another conversation, switching format or truncating replaces
+    // convMsgs; results that arrive after that belong to nothing.
+    const msgs = chatState.convMsgs;
+    const calls = toolUses.map(tu => ({ id: tu.id, name: tu.name, input: tu.input }));
+    // Only the tool needs the real input; the stored copy is what gets
+    // persisted, exported and compacted, so secrets are masked there.
+    for (const tu of toolUses) tu.input = redactParams(tu.input);
+    const results = await runToolCalls(calls);
+    if (chatState.convMsgs !== msgs) return;
+    const toolResults = toolUses.map((tu, i) => ({ type: "tool_result", tool_use_id: tu.id, content: JSON.stringify(shrinkToolResult(results[i])) }));
     chatState.convMsgs.push({ role: "user", content: toolResults });
+    persistConversation();
+    if (signal.aborted) {
+      hideChatSpinner();
+      return;
+    }
     showChatSpinner();
   }
 }
@@ -1292,36 +4371,78 @@ async function* parseSSEStream(body) {
   }
 }
 
-// GitHub Models conversation
+// OpenAI-compatible conversation (GitHub Models and custom endpoints)
+
+const GITHUB_MODELS_URL = "https://models.github.ai/inference/chat/completions";
+
+function loadCustomEndpoint() {
+  const saved = JSON.parse(localStorage.getItem("webmcp-custom-endpoint") || "null");
+  return { baseUrl: "", apiKey: "", model: "", contextWindow: CUSTOM_CONTEXT_DEFAULT, noTools: [], ...saved };
+}
+
+function saveCustomEndpoint() {
+  localStorage.setItem("webmcp-custom-endpoint", JSON.stringify(chatState.customEndpoint));
+}
+
+// Accepts a base URL ("http://localhost:11434/v1") or the full completions URL.
+function customChatUrl(baseUrl) {
+  const base = baseUrl.trim().replace(/\/+$/, "");
+  return base.endsWith("/chat/completions") ? base : `${base}/chat/completions`;
+}
+
+function customToolsEnabled(model) {
+  return !chatState.customEndpoint.noTools.includes(model);
+}
+
+// Where and how to send OpenAI-format requests for the current provider.
+// GitHub Models takes `max_completion_tokens`; local servers (Ollama,
+// llama.cpp, vLLM) still expect `max_tokens`.
+function openAIEndpoint() {
+  if (chatState.provider === "github") {
+    return { url: GITHUB_MODELS_URL, token: chatState.githubAuth?.token, tools: true, maxTokensParam: "max_completion_tokens" };
+  }
+  const custom = chatState.customEndpoint;
+  return { url: customChatUrl(custom.baseUrl), token: custom.apiKey, tools: customToolsEnabled(custom.model), maxTokensParam: "max_tokens" };
+}
+
+function openAIHeaders(token) {
+  const headers = { "content-type": "application/json" };
+  if (token) headers.authorization = `Bearer ${token}`;
+  return headers;
+}
 
-async function runConversationGitHub(token, signal) {
+async function runConversationOpenAI(endpoint, signal) {
   while (true) {
+    await maybeCompactConversation((prompt) => summarizeWithOpenAI(prompt, endpoint, signal));
     let body;
+    const system = endpoint.tools
+      ? getSystemPrompt()
+      : `${getSystemPrompt()}\nTool calls are not available with this model; tell the user which MQTT messages to publish instead.`;
     try {
-      const res = await fetch("https://models.github.ai/inference/chat/completions", {
+      const request = {
+        model: chatState.model,
+        messages: [{ role: "system", content: system }, ...apiMessages()],
+        [endpoint.maxTokensParam]: CHAT_MAX_OUTPUT_TOKENS,
+        stream: true,
+        stream_options: { include_usage: true },
+      };
+      if (endpoint.tools) {
+        request.tools = getOpenAITools();
+        request.tool_choice = "auto";
+      }
+      const res = await fetchWithRetry(endpoint.url, {
         method: "POST",
         signal,
-        headers: {
-          "content-type": "application/json",
-          "authorization": `Bearer ${token}`,
-        },
-        body: JSON.stringify({
-          model: chatState.model,
-          messages: [{ role: "system", content: getSystemPrompt() }, ...chatState.convMsgs],
-          tools: getOpenAITools(),
-          tool_choice: "auto",
-          max_completion_tokens: 4096,
-          stream: true,
-        }),
+        headers: openAIHeaders(endpoint.token),
+        body: JSON.stringify(request),
       });
       if (!res.ok) {
         hideChatSpinner();
-        if (res.status === 429) {
+        if (res.status === 429 && chatState.provider === "github") {
           appendRateLimitMsg();
           return;
         }
-        const txt = await res.text();
-        throw new Error(`API ${res.status}: ${txt.slice(0, 200)}`);
+        throw await apiError(res);
       }
       body = res.body;
     } catch (err) {
@@ -1329,97 +4450,954 @@ async function runConversationGitHub(token, signal) {
       return;
     }
 
-    let currentTextEl = null;
-    let currentTextContent = "";
-    let rafId = 0;
-    const tcMap = {};
+    let currentTextEl = null;
+    let currentTextContent = "";
+    let rafId = 0;
+    const tcMap = {};
+    let usage = emptyUsage();
+
+    try {
+      for await (const chunk of parseOpenAIStream(body)) {
+        if (chunk.usage) usage = openAIUsage(chunk.usage);
+        const delta = chunk.choices?.[0]?.delta;
+        if (!delta) continue;
+
+        if (delta.content) {
+          if (!currentTextEl) {
+            hideChatSpinner();
+            currentTextContent = "";
+            currentTextEl = appendChatMsg("assistant", "");
+          }
+          currentTextContent += delta.content;
+          if (!rafId) {
+            rafId = requestAnimationFrame(() => {
+              rafId = 0;
+              if (currentTextEl) currentTextEl.innerHTML = renderMarkdown(currentTextContent);
+              scrollChatBottom();
+            });
+          }
+        }
+
+        if (delta.tool_calls) {
+          for (const tc of delta.tool_calls) {
+            const entry = tcMap[tc.index] ??= { id: "", name: "", arguments: "", _shown: false };
+            if (tc.id) entry.id = tc.id;
+            if (tc.function?.name) entry.name = tc.function.name;
+            if (tc.function?.arguments) entry.arguments += tc.function.arguments;
+            if (!entry._shown && entry.id && entry.name) {
+              entry._shown = true;
+              appendChatToolCall(entry.id, entry.name);
+            }
+          }
+        }
+      }
+    } catch (err) {
+      handleStreamError(err, "Stream error: ");
+      return;
+    }
+
+    rafId = flushStreamingText(currentTextEl, currentTextContent, rafId);
+
+    const toolCalls = Object.values(tcMap);
+    const assistantMsg = { role: "assistant", content: currentTextContent || null, usage: recordUsage(usage) };
+    if (toolCalls.length) {
+      assistantMsg.tool_calls = toolCalls.map((tc) => ({
+        id: tc.id,
+        type: "function",
+        function: { name: tc.name, arguments: tc.arguments },
+      }));
+    }
+    chatState.convMsgs.push(assistantMsg);
+
+    if (toolCalls.length === 0) {
+      hideChatSpinner();
+      return;
+    }
+
+    const calls = toolCalls.map((tc) => {
+      let input;
+      try {
+        input = JSON.parse(tc.arguments || "{}");
+      } catch {
+        input = {};
+      }
+      return { id: tc.id, name: tc.name, input };
+    });
+    calls.forEach((call, i) => {
+      const redacted = JSON.stringify(redactParams(call.input));
+      if (redacted !== JSON.stringify(call.input)) assistantMsg.tool_calls[i].function.arguments = redacted;
+    });
+    const msgs = chatState.convMsgs;
+    const results = await runToolCalls(calls);
+    if (chatState.convMsgs !== msgs) return;
+    calls.forEach((call, i) => {
+      chatState.convMsgs.push({ role: "tool", tool_call_id: call.id, content: JSON.stringify(shrinkToolResult(results[i])) });
+    });
+    persistConversation();
+    if (signal.aborted) {
+      hideChatSpinner();
+      return;
+    }
+    showChatSpinner();
+  }
+}
+
+async function* parseOpenAIStream(body) {
+  for await (const line of readStreamLines(body)) {
+    if (!line.startsWith("data: ")) continue;
+    const payload = line.slice(6).trim();
+    if (payload === "[DONE]") return;
+    try {
+      yield JSON.parse(payload);
+    } catch {}
+  }
+}
+
+// Context window
+//
+// Token counts are estimated from serialized length (about 4 characters per
+// token); close enough to drive the meter and decide when to compact. Tool
+// results are shrunk before they enter the history, and once the estimate
+// crosses the threshold the older turns are replaced by a model-written summary.
+
+const CHAT_MAX_OUTPUT_TOKENS = 4096;
+const CHARS_PER_TOKEN = 4;
+const CONTEXT_WINDOWS = { anthropic: 200000, local: 200000, github: 128000 };
+// Input limits of the GitHub Models offered in the picker, from its catalog.
+const GITHUB_CONTEXT_WINDOWS = {
+  "openai/gpt-4.1": 1048576,
+  "openai/gpt-4.1-mini": 1048576,
+  "openai/gpt-4.1-nano": 1048576,
+  "openai/gpt-5": 200000,
+  "openai/gpt-5-mini": 200000,
+};
+const TOOL_RESULT_MAX_CHARS = 8000;
+const TOOL_RESULT_KEEP_ITEMS = 10;
+const SUMMARY_MAX_TOKENS = 1024;
+const SUMMARY_TRANSCRIPT_MAX_CHARS = 60000;
+const SUMMARY_RESULT_MAX_CHARS = 600;
+const COMPACTION_PREFIX = "[Summary of earlier conversation]";
+const COMPACTION_ACK = "Understood. Continuing from the summary.";
+
+function estimateTokens(value) {
+  const text = typeof value === "string" ? value : JSON.stringify(value ?? "");
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+// Input tokens the next request would send: system prompt, tool schemas and history.
+function estimateContextTokens(messages = chatState.convMsgs) {
+  const tools = messageFormat(chatState.provider) === "openai" ? getOpenAITools() : getClaudeTools();
+  return estimateTokens(getSystemPrompt()) + estimateTokens(tools) + estimateTokens(apiMessages(messages));
+}
+
+// Input budget left once room for the reply is reserved.
+function contextBudget() {
+  let size = CONTEXT_WINDOWS[chatState.provider] ?? CONTEXT_WINDOWS.anthropic;
+  if (chatState.provider === "openai") size = chatState.customEndpoint.contextWindow;
+  else if (chatState.provider === "github") size = GITHUB_CONTEXT_WINDOWS[chatState.model] ?? size;
+  return Math.max(size - CHAT_MAX_OUTPUT_TOKENS, size / 2);
+}
+
+function formatTokens(n) {
+  return n >= 1000 ? `${(n / 1000).toFixed(n >= 10000 ? 0 : 1)}k` : String(n);
+}
+
+function updateContextMeter() {
+  const meter = $("chat-context-meter");
+  if (!meter) return;
+  const used = chatState.convMsgs.length ? estimateContextTokens() : 0;
+  const budget = contextBudget();
+  const pct = Math.min(100, Math.round((used / budget) * 100));
+  const threshold = chatState.compactThreshold;
+  meter.querySelector(".chat-context-fill").style.width = `${pct}%`;
+  meter.querySelector(".chat-context-mark").hidden = !threshold;
+  meter.querySelector(".chat-context-mark").style.left = `${threshold}%`;
+  meter.querySelector(".chat-context-label").textContent = `~${formatTokens(used)} / ${formatTokens(budget)} tokens`;
+  meter.classList.toggle("near", !!threshold && pct >= threshold);
+  meter.classList.toggle("full", pct >= 100);
+  meter.title = threshold
+    ? `Estimated context use ${pct}%; older turns are summarized at ${threshold}%`
+    : `Estimated context use ${pct}%; automatic compaction is off`;
+}
+
+// Keeps the first and last items of an oversized array and describes the rest.
+function summarizeArray(items) {
+  const head = Math.ceil(TOOL_RESULT_KEEP_ITEMS / 2);
+  const tail = TOOL_RESULT_KEEP_ITEMS - head;
+  const omitted = items.slice(head, items.length - tail);
+  const summary = { total: items.length, kept: head + tail, omitted: omitted.length };
+  const numbers = omitted.map(item => toNumber(item?.payload ?? item)).filter(Number.isFinite);
+  if (numbers.length) {
+    summary.omitted_numeric = {
+      min: Math.min(...numbers),
+      max: Math.max(...numbers),
+      mean: Math.round((numbers.reduce((a, b) => a + b, 0) / numbers.length) * 1000) / 1000,
+    };
+  }
+  return { items: [...items.slice(0, head), ...items.slice(items.length - tail)], summary };
+}
+
+// Returns a version of a tool result small enough to keep in the history.
+// Long arrays (e.g. subscribe_for_duration messages) are cut to their ends
+// with a summary of what was dropped; anything still too large is cut to a
+// text preview. The tool card and tool log keep the full result.
+function shrinkToolResult(result) {
+  const text = JSON.stringify(result ?? null);
+  if (text.length <= TOOL_RESULT_MAX_CHARS) return result;
+  if (result && typeof result === "object" && !Array.isArray(result)) {
+    const shrunk = { ...result };
+    for (const [key, value] of Object.entries(result)) {
+      if (!Array.isArray(value) || value.length <= TOOL_RESULT_KEEP_ITEMS) continue;
+      const { items, summary } = summarizeArray(value);
+      shrunk[key] = items;
+      shrunk[`${key}_summary`] = summary;
+    }
+    if (JSON.stringify(shrunk).length <= TOOL_RESULT_MAX_CHARS) return { ...shrunk, truncated: true };
+  }
+  return {
+    truncated: true,
+    original_chars: text.length,
+    preview: text.slice(0, TOOL_RESULT_MAX_CHARS),
+  };
+}
+
+function isCompactionSummary(msg) {
+  return msg.role === "user" && typeof msg.content === "string" && msg.content.startsWith(COMPACTION_PREFIX);
+}
+
+// Renders old turns as plain text for the summarizer, clipping tool results
+// and keeping the most recent part if the whole transcript is too long.
+function compactionTranscript(messages) {
+  const lines = [];
+  for (const entry of conversationEntries(messages, messageFormat(chatState.provider))) {
+    if (entry.kind === "user") lines.push(`User: ${entry.text}`);
+    else if (entry.kind === "assistant") lines.push(`Assistant: ${entry.text}`);
+    else if (entry.kind === "usage") continue;
+    else {
+      const result = String(entry.result ?? "");
+      const clipped = result.length > SUMMARY_RESULT_MAX_CHARS ? result.slice(0, SUMMARY_RESULT_MAX_CHARS) + "…" : result;
+      lines.push(`Tool ${entry.name}(${JSON.stringify(entry.input)}) → ${clipped}`);
+    }
+  }
+  const transcript = lines.join("\n");
+  return transcript.length > SUMMARY_TRANSCRIPT_MAX_CHARS
+    ? "…" + transcript.slice(-SUMMARY_TRANSCRIPT_MAX_CHARS)
+    : transcript;
+}
+
+function compactionPrompt(messages) {
+  return [
+    "Summarize the following robot-control chat so it can continue without the original messages.",
+    "Keep: devices and MQTT topics involved, payload formats that worked, the latest known device state,",
+    "actions taken and their results, errors, and anything the user asked for that is still pending.",
+    "Be concise and factual; use short bullet points.",
+    "",
+    compactionTranscript(messages),
+  ].join("\n");
+}
+
+async function summarizeWithClaude(prompt, apiKey, signal, url) {
+  const res = await fetchWithRetry(url, {
+    method: "POST",
+    signal,
+    headers: claudeHeaders(apiKey),
+    body: JSON.stringify({
+      model: chatState.model,
+      max_tokens: SUMMARY_MAX_TOKENS,
+      messages: [{ role: "user", content: prompt }],
+    }),
+  });
+  if (!res.ok) throw await apiError(res);
+  const data = await res.json();
+  recordUsage(mergeClaudeUsage(emptyUsage(), data.usage), "summary");
+  return (data.content || []).filter(b => b.type === "text").map(b => b.text).join("");
+}
+
+async function summarizeWithOpenAI(prompt, endpoint, signal) {
+  const res = await fetchWithRetry(endpoint.url, {
+    method: "POST",
+    signal,
+    headers: openAIHeaders(endpoint.token),
+    body: JSON.stringify({
+      model: chatState.model,
+      messages: [{ role: "user", content: prompt }],
+      [endpoint.maxTokensParam]: SUMMARY_MAX_TOKENS,
+    }),
+  });
+  if (!res.ok) throw await apiError(res);
+  const data = await res.json();
+  if (data.usage) recordUsage(openAIUsage(data.usage), "summary");
+  return data.choices?.[0]?.message?.content || "";
+}
+
+// Replaces everything before the current user turn with a summary once the
+// estimated context crosses the threshold. The current turn (including any
+// tool calls in progress) is kept verbatim so tool call/result pairs stay intact.
+async function maybeCompactConversation(summarize) {
+  updateContextMeter();
+  const threshold = chatState.compactThreshold;
+  if (!threshold) return;
+  const before = estimateContextTokens();
+  if (before < (contextBudget() * threshold) / 100) return;
+
+  const msgs = chatState.convMsgs;
+  let cut = -1;
+  for (let i = msgs.length - 1; i > 0; i--) {
+    if (msgs[i].role === "user" && typeof msgs[i].content === "string" && !isCompactionSummary(msgs[i])) {
+      cut = i;
+      break;
+    }
+  }
+  const old = cut > 0 ? msgs.slice(0, cut) : [];
+  if (old.length < 2 || (old.length === 2 && isCompactionSummary(old[0]))) return;
+
+  let summary;
+  try {
+    summary = (await summarize(compactionPrompt(old))).trim();
+  } catch (err) {
+    if (err.name === "AbortError") throw err;
+    toast(`Could not summarize conversation: ${err.message}`, "warn");
+    return;
+  }
+  if (!summary) return;
+
+  const kept = msgs.slice(cut);
+  chatState.convMsgs = [
+    { role: "user", content: `${COMPACTION_PREFIX}\n${summary}` },
+    { role: "assistant", content: COMPACTION_ACK },
+    ...kept,
+  ];
+  const after = estimateContextTokens();
+  renderConversation();
+  // Compaction runs mid-turn; rendering cleared the spinner along with the log.
+  if (chatState.busy) showChatSpinner();
+  persistConversation();
+  updateContextMeter();
+  toast(`Summarized ${old.length} earlier messages (~${formatTokens(before)} → ~${formatTokens(after)} tokens)`, "ok");
+}
+
+function appendCompactionNote(summary) {
+  const el = document.createElement("details");
+  el.className = "chat-compaction";
+  el.innerHTML = `<summary>Earlier messages summarized</summary><div class="chat-compaction-body"></div>`;
+  el.querySelector(".chat-compaction-body").innerHTML = renderMarkdown(summary);
+  $("chat-messages").appendChild(el);
+}
+
+// Token usage
+//
+// Every model request's token counts are stored in the "usage" object store
+// ({ ts, day, provider, model, conversationId, kind, input, output, cacheRead,
+// cacheWrite }) and also attached to the assistant message as `usage`, which
+// apiMessages() strips before the history is sent. `input` excludes cached
+// prompt tokens for both providers.
+
+// USD per million tokens. Models without a price (GitHub Models free tier,
+// the personal-account proxy) show token counts only.
+const MODEL_PRICES = {
+  "claude-sonnet-4-6": { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+};
+const USAGE_VIEW_DAYS = 30;
+
+function emptyUsage() {
+  return { input: 0, output: 0, cacheRead: 0, cacheWrite: 0 };
+}
+
+// message_start carries the full usage object and message_delta the running
+// output count; both are merged field by field as they arrive.
+function mergeClaudeUsage(usage, raw) {
+  if (!raw) return usage;
+  if (raw.input_tokens != null) usage.input = raw.input_tokens;
+  if (raw.output_tokens != null) usage.output = raw.output_tokens;
+  if (raw.cache_read_input_tokens != null) usage.cacheRead = raw.cache_read_input_tokens;
+  if (raw.cache_creation_input_tokens != null) usage.cacheWrite = raw.cache_creation_input_tokens;
+  return usage;
+}
+
+function openAIUsage(raw) {
+  const cached = raw.prompt_tokens_details?.cached_tokens || 0;
+  return {
+    input: (raw.prompt_tokens || 0) - cached,
+    output: raw.completion_tokens || 0,
+    cacheRead: cached,
+    cacheWrite: 0,
+  };
+}
+
+function apiMessages(messages = chatState.convMsgs) {
+  return messages.map(({ usage, ...msg }) => msg);
+}
+
+function usageTotal(u) {
+  return u.input + u.output + u.cacheRead + u.cacheWrite;
+}
+
+function usageCost(u, provider, model) {
+  const price = provider === "anthropic" ? MODEL_PRICES[model] : null;
+  if (!price) return null;
+  return (u.input * price.input + u.output * price.output + u.cacheRead * price.cacheRead + u.cacheWrite * price.cacheWrite) / 1e6;
+}
+
+function formatCost(cost) {
+  return cost == null ? "" : `$${cost < 0.01 ? cost.toFixed(4) : cost.toFixed(2)}`;
+}
+
+function formatUsage(u) {
+  const parts = [`in ${formatTokens(u.input)}`, `out ${formatTokens(u.output)}`];
+  if (u.cacheRead || u.cacheWrite) parts.push(`cache ${formatTokens(u.cacheRead)} read / ${formatTokens(u.cacheWrite)} write`);
+  const cost = formatCost(u.cost);
+  if (cost) parts.push(cost);
+  return parts.join(" · ");
+}
+
+function localDay(date = new Date()) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+}
+
+// Stores one request's usage and returns the per-message copy (with cost).
+// Requests that report nothing (aborted streams) are not recorded.
+function recordUsage(usage, kind = "chat") {
+  if (!usageTotal(usage)) return undefined;
+  const cost = usageCost(usage, chatState.provider, chatState.model);
+  const perMessage = cost == null ? { ...usage } : { ...usage, cost };
+  if (kind === "chat") appendUsageLine(perMessage);
+  const record = {
+    ts: Date.now(),
+    day: localDay(),
+    provider: chatState.provider,
+    model: chatState.model,
+    conversationId: chatState.conversation?.id ?? null,
+    kind,
+    ...perMessage,
+  };
+  addUsageToTotals(chatState.usageTotals, record);
+  renderUsageTotals();
+  convStore("readwrite", store => store.add(record), USAGE_STORE)
+    .then(checkUsageBudget)
+    .then(() => { if (!$("chat-usage").hidden) renderUsageView(); })
+    .catch(err => console.warn("[chat] Could not save usage:", err));
+  return perMessage;
+}
+
+function addUsageToTotals(totals, record) {
+  totals.requests++;
+  totals.input += record.input;
+  totals.output += record.output;
+  totals.cacheRead += record.cacheRead;
+  totals.cacheWrite += record.cacheWrite;
+  if (record.cost != null) totals.cost = (totals.cost ?? 0) + record.cost;
+  return totals;
+}
+
+function newUsageTotals() {
+  return { requests: 0, ...emptyUsage(), cost: null };
+}
+
+function listUsage() {
+  return convStore("readonly", store => store.getAll(), USAGE_STORE);
+}
+
+async function loadConversationUsage() {
+  const id = chatState.conversation?.id;
+  chatState.usageTotals = newUsageTotals();
+  if (id && typeof indexedDB !== "undefined") {
+    try {
+      const records = await convStore("readonly", store => store.index("conversationId").getAll(id), USAGE_STORE);
+      if (chatState.conversation?.id !== id) return;
+      records.forEach(r => addUsageToTotals(chatState.usageTotals, r));
+    } catch (err) {
+      console.warn("[chat] Could not load usage:", err);
+    }
+  }
+  renderUsageTotals();
+}
+
+function renderUsageTotals() {
+  const el = $("chat-usage-total");
+  const totals = chatState.usageTotals;
+  el.hidden = !totals.requests;
+  el.textContent = `Σ ${formatUsage(totals)}`;
+  el.title = `${totals.requests} request${totals.requests === 1 ? "" : "s"} in this conversation`;
+}
+
+function appendUsageLine(usage) {
+  const el = document.createElement("div");
+  el.className = "chat-usage-line";
+  el.textContent = formatUsage(usage);
+  $("chat-messages").appendChild(el);
+}
+
+async function checkUsageBudget() {
+  const budget = chatState.usageBudget;
+  const today = localDay();
+  if (!budget) return;
+  const records = await convStore("readonly", store => store.index("day").getAll(today), USAGE_STORE);
+  const used = records.reduce((sum, r) => sum + usageTotal(r), 0);
+  $("chat-usage-btn").classList.toggle("over-budget", used >= budget);
+  if (used < budget || localStorage.getItem("webmcp-usage-budget-warned") === today) return;
+  localStorage.setItem("webmcp-usage-budget-warned", today);
+  toast(`Daily token budget reached: ${formatTokens(used)} of ${formatTokens(budget)} tokens used today`, "warn");
+}
+
+// Groups records by day and model, newest day first.
+function aggregateUsage(records) {
+  const groups = new Map();
+  for (const r of records) {
+    const key = `${r.day}\u0000${r.model}`;
+    if (!groups.has(key)) groups.set(key, { day: r.day, provider: r.provider, model: r.model, ...newUsageTotals() });
+    addUsageToTotals(groups.get(key), r);
+  }
+  return [...groups.values()].sort((a, b) => b.day.localeCompare(a.day) || a.model.localeCompare(b.model));
+}
+
+function csvField(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function usageToCsv(records) {
+  const header = ["timestamp", "day", "provider", "model", "conversation_id", "kind", "input_tokens", "output_tokens", "cache_read_tokens", "cache_write_tokens", "cost_usd"];
+  const rows = records.map(r => [
+    new Date(r.ts).toISOString(), r.day, r.provider, r.model, r.conversationId, r.kind,
+    r.input, r.output, r.cacheRead, r.cacheWrite, r.cost?.toFixed(6),
+  ]);
+  return [header, ...rows].map(row => row.map(csvField).join(",")).join("\n") + "\n";
+}
+
+function toggleUsageView(show = $("chat-usage").hidden) {
+  if (show) toggleConversationList(false);
+  $("chat-usage").hidden = !show;
+  $("chat-usage-btn").setAttribute("aria-expanded", String(show));
+  if (show) renderUsageView();
+}
+
+async function renderUsageView() {
+  const body = $("chat-usage-rows");
+  let records;
+  try {
+    records = await listUsage();
+  } catch (err) {
+    body.innerHTML = `<tr><td colspan="6" class="sidebar-empty">Usage storage unavailable: ${escHtml(err.message || err)}</td></tr>`;
+    return;
+  }
+  const today = localDay();
+  const todayTotal = records.filter(r => r.day === today).reduce((sum, r) => sum + usageTotal(r), 0);
+  const budget = chatState.usageBudget;
+  $("chat-usage-today").textContent = budget
+    ? `Today: ${formatTokens(todayTotal)} of ${formatTokens(budget)} tokens`
+    : `Today: ${formatTokens(todayTotal)} tokens`;
+  $("chat-usage-today").classList.toggle("over-budget", !!budget && todayTotal >= budget);
+
+  const cutoff = localDay(new Date(Date.now() - (USAGE_VIEW_DAYS - 1) * 86400000));
+  const groups = aggregateUsage(records.filter(r => r.day >= cutoff));
+  if (!groups.length) {
+    body.innerHTML = `<tr><td colspan="6" class="sidebar-empty">No usage recorded</td></tr>`;
+    return;
+  }
+  body.innerHTML = groups.map(g => `
+    <tr>
+      <td>${escHtml(g.day)}</td>
+      <td title="${escHtml(g.provider)}">${escHtml(g.model)}</td>
+      <td>${g.requests}</td>
+      <td>${formatTokens(g.input + g.cacheRead + g.cacheWrite)}</td>
+      <td>${formatTokens(g.output)}</td>
+      <td>${formatCost(g.cost) || "—"}</td>
+    </tr>
+  `).join("");
+}
+
+function initUsageView() {
+  const budgetInput = $("chat-usage-budget");
+  budgetInput.value = chatState.usageBudget || "";
+  budgetInput.addEventListener("change", () => {
+    const n = Math.round(Number(budgetInput.value));
+    chatState.usageBudget = n > 0 ? n : 0;
+    budgetInput.value = chatState.usageBudget || "";
+    if (chatState.usageBudget) localStorage.setItem("webmcp-usage-budget", String(chatState.usageBudget));
+    else localStorage.removeItem("webmcp-usage-budget");
+    localStorage.removeItem("webmcp-usage-budget-warned");
+    checkUsageBudget().catch(() => {});
+    renderUsageView();
+  });
+  $("chat-usage-btn").addEventListener("click", (e) => {
+    e.stopPropagation();
+    toggleUsageView();
+  });
+  $("chat-usage-export").addEventListener("click", async () => {
+    const records = await listUsage();
+    if (!records.length) return toast("No usage recorded yet", "error");
+    downloadText(`chat-usage-${localDay()}.csv`, usageToCsv(records), "text/csv");
+  });
+  $("chat-usage-clear").addEventListener("click", async () => {
+    if (!confirm("Delete all recorded token usage?")) return;
+    await convStore("readwrite", store => store.clear(), USAGE_STORE);
+    $("chat-usage-btn").classList.remove("over-budget");
+    loadConversationUsage();
+    renderUsageView();
+  });
+  if (typeof indexedDB !== "undefined") checkUsageBudget().catch(() => {});
+}
+
+// Conversation storage
+//
+// Conversations are kept in IndexedDB as { id, title, provider, model, broker,
+// format, messages, createdAt, updatedAt }. `format` is "anthropic" (content
+// blocks) or "openai" (tool_calls / role "tool"); switching between providers
+// converts the history instead of discarding it.
+
+const CONV_DB_NAME = "webmcp-chat";
+const CONV_STORE = "conversations";
+const USAGE_STORE = "usage";
+const CONV_TITLE_MAX = 60;
+
+let _convDb = null;
+
+function openConvDb() {
+  _convDb ??= new Promise((resolve, reject) => {
+    const req = indexedDB.open(CONV_DB_NAME, 2);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(CONV_STORE)) {
+        db.createObjectStore(CONV_STORE, { keyPath: "id" }).createIndex("updatedAt", "updatedAt");
+      }
+      if (!db.objectStoreNames.contains(USAGE_STORE)) {
+        const usage = db.createObjectStore(USAGE_STORE, { keyPath: "id", autoIncrement: true });
+        usage.createIndex("conversationId", "conversationId");
+        usage.createIndex("day", "day");
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  return _convDb;
+}
+
+async function convStore(mode, fn, storeName = CONV_STORE) {
+  const db = await openConvDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+function listConversations() {
+  return convStore("readonly", store => store.getAll())
+    .then(all => all.sort((a, b) => b.updatedAt - a.updatedAt));
+}
+
+function getConversation(id) {
+  return convStore("readonly", store => store.get(id));
+}
+
+function putConversation(conv) {
+  return convStore("readwrite", store => store.put(conv));
+}
+
+function deleteConversation(id) {
+  return convStore("readwrite", store => store.delete(id));
+}
+
+function messageFormat(provider) {
+  return provider === "github" || provider === "openai" ? "openai" : "anthropic";
+}
+
+function conversationTitle(messages) {
+  const first = messages.find(m => m.role === "user" && typeof m.content === "string");
+  const text = first?.content.replace(/\s+/g, " ").trim() || "New conversation";
+  return text.length > CONV_TITLE_MAX ? text.slice(0, CONV_TITLE_MAX - 1) + "…" : text;
+}
+
+// Saves the current conversation, creating its record on the first message.
+function persistConversation() {
+  if (!chatState.convMsgs.length) return;
+  const now = Date.now();
+  chatState.conversation ??= {
+    id: newId(),
+    title: conversationTitle(chatState.convMsgs),
+    createdAt: now,
+    broker: redactUrl(state.url),
+  };
+  Object.assign(chatState.conversation, {
+    provider: chatState.provider,
+    model: chatState.model,
+    format: messageFormat(chatState.provider),
+    messages: chatState.convMsgs,
+    updatedAt: now,
+  });
+  localStorage.setItem("webmcp-active-conversation", chatState.conversation.id);
+  updateContextMeter();
+  putConversation(structuredClone(chatState.conversation))
+    .then(() => { if (!$("chat-history").hidden) renderConversationList(); })
+    .catch(err => console.warn("[chat] Could not save conversation:", err));
+}
+
+async function openConversation(id) {
+  const conv = await getConversation(id);
+  if (!conv) throw new Error("Conversation not found");
+  if (chatState.busy) resetChatBusy();
+  const format = messageFormat(chatState.provider);
+  chatState.conversation = conv;
+  chatState.convMsgs = conv.format === format ? conv.messages : convertMessages(conv.messages, conv.format, format);
+  localStorage.setItem("webmcp-active-conversation", conv.id);
+  renderConversation();
+  loadConversationUsage();
+}
 
-    try {
-      for await (const chunk of parseOpenAIStream(body)) {
-        const delta = chunk.choices?.[0]?.delta;
-        if (!delta) continue;
+async function restoreActiveConversation() {
+  const id = localStorage.getItem("webmcp-active-conversation");
+  if (!id || typeof indexedDB === "undefined") return;
+  try {
+    await openConversation(id);
+  } catch {
+    localStorage.removeItem("webmcp-active-conversation");
+  }
+}
 
-        if (delta.content) {
-          if (!currentTextEl) {
-            hideChatSpinner();
-            currentTextContent = "";
-            currentTextEl = appendChatMsg("assistant", "");
-          }
-          currentTextContent += delta.content;
-          if (!rafId) {
-            rafId = requestAnimationFrame(() => {
-              rafId = 0;
-              if (currentTextEl) currentTextEl.innerHTML = renderMarkdown(currentTextContent);
-              scrollChatBottom();
-            });
-          }
-        }
+function toolResultText(content) {
+  if (typeof content === "string") return content;
+  if (Array.isArray(content)) return content.map(b => b.text ?? "").join("");
+  return JSON.stringify(content);
+}
 
-        if (delta.tool_calls) {
-          for (const tc of delta.tool_calls) {
-            const entry = tcMap[tc.index] ??= { id: "", name: "", arguments: "", _shown: false };
-            if (tc.id) entry.id = tc.id;
-            if (tc.function?.name) entry.name = tc.function.name;
-            if (tc.function?.arguments) entry.arguments += tc.function.arguments;
-            if (!entry._shown && entry.id && entry.name) {
-              entry._shown = true;
-              appendChatToolCall(entry.id, entry.name);
-            }
-          }
-        }
+function anthropicToOpenAI(messages) {
+  const out = [];
+  for (const msg of messages) {
+    if (typeof msg.content === "string") {
+      out.push({ role: msg.role, content: msg.content });
+      continue;
+    }
+    const blocks = msg.content || [];
+    const text = blocks.filter(b => b.type === "text").map(b => b.text).join("");
+    if (msg.role === "assistant") {
+      const toolUses = blocks.filter(b => b.type === "tool_use");
+      const converted = { role: "assistant", content: text || null };
+      if (msg.usage) converted.usage = msg.usage;
+      if (toolUses.length) {
+        converted.tool_calls = toolUses.map(b => ({
+          id: b.id,
+          type: "function",
+          function: { name: b.name, arguments: JSON.stringify(b.input ?? {}) },
+        }));
       }
-    } catch (err) {
-      handleStreamError(err, "Stream error: ");
-      return;
+      out.push(converted);
+      continue;
     }
+    for (const b of blocks.filter(b => b.type === "tool_result")) {
+      out.push({ role: "tool", tool_call_id: b.tool_use_id, content: toolResultText(b.content) });
+    }
+    if (text) out.push({ role: "user", content: text });
+  }
+  return out;
+}
 
-    rafId = flushStreamingText(currentTextEl, currentTextContent, rafId);
-
-    const toolCalls = Object.values(tcMap);
-    const assistantMsg = { role: "assistant", content: currentTextContent || null };
-    if (toolCalls.length) {
-      assistantMsg.tool_calls = toolCalls.map((tc) => ({
-        id: tc.id,
-        type: "function",
-        function: { name: tc.name, arguments: tc.arguments },
-      }));
+function openAIToAnthropic(messages) {
+  const out = [];
+  // The Messages API expects alternating roles, so consecutive user-side
+  // messages (tool results followed by a prompt) are merged into one.
+  const push = (role, blocks) => {
+    const prev = out.at(-1);
+    if (prev?.role === role) {
+      if (typeof prev.content === "string") prev.content = [{ type: "text", text: prev.content }];
+      prev.content.push(...blocks);
+    } else {
+      out.push({ role, content: blocks });
     }
-    chatState.convMsgs.push(assistantMsg);
+  };
+  for (const msg of messages) {
+    if (msg.role === "system") continue;
+    if (msg.role === "tool") {
+      push("user", [{ type: "tool_result", tool_use_id: msg.tool_call_id, content: toolResultText(msg.content) }]);
+    } else if (msg.role === "assistant") {
+      const blocks = [];
+      if (msg.content) blocks.push({ type: "text", text: toolResultText(msg.content) });
+      for (const tc of msg.tool_calls || []) {
+        let input = {};
+        try {
+          input = JSON.parse(tc.function.arguments || "{}");
+        } catch {}
+        blocks.push({ type: "tool_use", id: tc.id, name: tc.function.name, input });
+      }
+      if (blocks.length) push("assistant", blocks);
+      if (blocks.length && msg.usage) out.at(-1).usage = msg.usage;
+    } else if (msg.content) {
+      push("user", [{ type: "text", text: toolResultText(msg.content) }]);
+    }
+  }
+  // Keep plain prompts as strings so they stay editable and titled.
+  for (const msg of out) {
+    if (msg.role === "user" && msg.content.length === 1 && msg.content[0].type === "text") msg.content = msg.content[0].text;
+  }
+  return out;
+}
 
-    if (toolCalls.length === 0) {
-      hideChatSpinner();
-      return;
+function convertMessages(messages, from, to) {
+  if (from === to) return messages;
+  return from === "anthropic" ? anthropicToOpenAI(messages) : openAIToAnthropic(messages);
+}
+
+// Walks a history in either format as { kind: "user" | "assistant" | "tool" | "usage", ... }
+// entries, pairing each tool call with its result.
+function conversationEntries(messages, format) {
+  const openai = format === "openai" ? messages : anthropicToOpenAI(messages);
+  const results = new Map(openai.filter(m => m.role === "tool").map(m => [m.tool_call_id, m.content]));
+  const entries = [];
+  let index = 0;
+  for (const msg of openai) {
+    if (msg.role === "user") entries.push({ kind: "user", text: msg.content, index });
+    if (msg.role === "assistant") {
+      if (msg.content) entries.push({ kind: "assistant", text: msg.content });
+      for (const tc of msg.tool_calls || []) {
+        let input = {};
+        try {
+          input = JSON.parse(tc.function.arguments || "{}");
+        } catch {}
+        entries.push({ kind: "tool", id: tc.id, name: tc.function.name, input, result: results.get(tc.id) });
+      }
+      if (msg.usage) entries.push({ kind: "usage", usage: msg.usage });
     }
+    index++;
+  }
+  return entries;
+}
 
-    for (const tc of toolCalls) {
-      let parsedArgs;
+// Redraws the chat from chatState.convMsgs (after reopening or converting).
+function renderConversation() {
+  $("chat-messages").innerHTML = "";
+  const format = messageFormat(chatState.provider);
+  // User-message indexes must point into convMsgs itself for edit/resend.
+  const userIndexes = chatState.convMsgs
+    .map((m, i) => (m.role === "user" && typeof m.content === "string" ? i : -1))
+    .filter(i => i !== -1);
+  let userSeen = 0;
+  for (const entry of conversationEntries(chatState.convMsgs, format)) {
+    if (entry.kind === "user" && entry.text.startsWith(COMPACTION_PREFIX)) {
+      userSeen++;
+      appendCompactionNote(entry.text.slice(COMPACTION_PREFIX.length).trim());
+    } else if (entry.kind === "user") {
+      appendChatMsg("user", entry.text, userIndexes[userSeen++] ?? chatState.convMsgs.length);
+    } else if (entry.kind === "assistant" && entry.text === COMPACTION_ACK) {
+      continue;
+    } else if (entry.kind === "assistant") {
+      appendChatMsg("assistant", entry.text);
+    } else if (entry.kind === "usage") {
+      appendUsageLine(entry.usage);
+    } else {
+      appendChatToolCall(entry.id, entry.name);
+      let result = entry.result;
       try {
-        parsedArgs = JSON.parse(tc.arguments || "{}");
-      } catch {
-        parsedArgs = {};
-      }
-      const result = await chatExecuteToolCall(tc.name, parsedArgs);
-      updateChatToolCall(tc.id, result, parsedArgs);
-      chatState.convMsgs.push({ role: "tool", tool_call_id: tc.id, content: JSON.stringify(result) });
+        result = JSON.parse(result);
+      } catch {}
+      if (result !== undefined) updateChatToolCall(entry.id, result, entry.input);
     }
-    showChatSpinner();
   }
 }
 
-async function* parseOpenAIStream(body) {
-  for await (const line of readStreamLines(body)) {
-    if (!line.startsWith("data: ")) continue;
-    const payload = line.slice(6).trim();
-    if (payload === "[DONE]") return;
-    try {
-      yield JSON.parse(payload);
-    } catch {}
+function conversationToMarkdown(conv) {
+  const lines = [
+    `# ${conv.title}`,
+    "",
+    `_${conv.model} · ${conv.broker} · ${new Date(conv.createdAt).toLocaleString()}_`,
+    "",
+  ];
+  for (const entry of conversationEntries(conv.messages, conv.format)) {
+    if (entry.kind === "user") lines.push(`**User:** ${entry.text}`, "");
+    else if (entry.kind === "assistant") lines.push(`**Assistant:** ${entry.text}`, "");
+    else if (entry.kind === "usage") lines.push(`_${formatUsage(entry.usage)}_`, "");
+    else {
+      lines.push(
+        `**Tool** \`${entry.name}\``,
+        "```json",
+        JSON.stringify(entry.input, null, 2),
+        "```",
+        "```json",
+        prettyJson(entry.result ?? ""),
+        "```",
+        "",
+      );
+    }
+  }
+  return lines.join("\n");
+}
+
+function conversationFilename(conv, ext) {
+  const slug = conv.title.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 40) || "conversation";
+  return `${slug}-${new Date(conv.createdAt).toISOString().slice(0, 10)}.${ext}`;
+}
+
+function toggleConversationList(show = $("chat-history").hidden) {
+  if (show) toggleUsageView(false);
+  $("chat-history").hidden = !show;
+  $("chat-history-btn").setAttribute("aria-expanded", String(show));
+  if (show) renderConversationList();
+}
+
+async function renderConversationList() {
+  const list = $("chat-history");
+  let convs;
+  try {
+    convs = await listConversations();
+  } catch (err) {
+    list.innerHTML = `<div class="sidebar-empty">Conversation storage unavailable: ${escHtml(err.message || err)}</div>`;
+    return;
+  }
+  list.innerHTML = "";
+  if (!convs.length) {
+    list.innerHTML = `<div class="sidebar-empty">No saved conversations</div>`;
+    return;
+  }
+  for (const conv of convs) {
+    const row = document.createElement("div");
+    row.className = "chat-history-item";
+    if (conv.id === chatState.conversation?.id) row.classList.add("active");
+    row.innerHTML = `
+      <button class="chat-history-open" title="Open">
+        <span class="chat-history-title">${escHtml(conv.title)}</span>
+        <span class="chat-history-meta">${escHtml(conv.model)} · ${escHtml(parseHostname(conv.broker) || conv.broker)} · ${escHtml(new Date(conv.updatedAt).toLocaleString())}</span>
+      </button>
+      <div class="chat-history-actions">
+        <button class="chat-history-action" data-action="rename" title="Rename" aria-label="Rename">✎</button>
+        <button class="chat-history-action" data-action="md" title="Export Markdown" aria-label="Export Markdown">MD</button>
+        <button class="chat-history-action" data-action="json" title="Export JSON" aria-label="Export JSON">{}</button>
+        <button class="chat-history-action" data-action="delete" title="Delete" aria-label="Delete">✕</button>
+      </div>
+    `;
+    row.querySelector(".chat-history-open").addEventListener("click", () => {
+      openConversation(conv.id)
+        .then(() => toggleConversationList(false))
+        .catch(err => toast(err.message, "error"));
+    });
+    row.querySelector(".chat-history-actions").addEventListener("click", async (e) => {
+      const action = e.target.dataset.action;
+      if (!action) return;
+      e.stopPropagation();
+      if (action === "md") {
+        downloadText(conversationFilename(conv, "md"), conversationToMarkdown(conv), "text/markdown");
+      } else if (action === "json") {
+        downloadText(conversationFilename(conv, "json"), JSON.stringify(conv, null, 2), "application/json");
+      } else if (action === "rename") {
+        const title = prompt("Rename conversation", conv.title)?.trim();
+        if (!title) return;
+        conv.title = title;
+        if (chatState.conversation?.id === conv.id) chatState.conversation.title = title;
+        await putConversation(conv);
+        renderConversationList();
+      } else if (action === "delete") {
+        if (!confirm(`Delete "${conv.title}"?`)) return;
+        await deleteConversation(conv.id);
+        if (chatState.conversation?.id === conv.id) clearChatHistory();
+        renderConversationList();
+      }
+    });
+    list.appendChild(row);
   }
 }
 
 // Chat UI helpers
 
-function appendChatMsg(role, text) {
+// msgIndex defaults to the next convMsgs slot (the push happens after this call).
+function appendChatMsg(role, text, msgIndex = chatState.convMsgs.length) {
   const container = $("chat-messages");
   const el = document.createElement("div");
   el.className = `chat-msg chat-msg-${role}`;
@@ -1428,7 +5406,6 @@ function appendChatMsg(role, text) {
   } else {
     el.textContent = text;
     if (role === "user") {
-      const msgIndex = chatState.convMsgs.length; // convMsgs.push happens after this call
       el.addEventListener("contextmenu", e => showMsgContextMenu(e, el, text, msgIndex));
     }
   }
@@ -1442,7 +5419,8 @@ function truncateConvAt(msgEl, msgIndex) {
   hideChatSpinner();
   while (msgEl.nextSibling) msgEl.nextSibling.remove();
   msgEl.remove();
-  chatState.convMsgs.splice(msgIndex);
+  chatState.convMsgs = chatState.convMsgs.slice(0, msgIndex);
+  persistConversation();
 }
 
 function showMsgContextMenu(e, msgEl, text, msgIndex) {
@@ -1533,6 +5511,22 @@ function appendChatToolCall(toolId, toolName) {
   scrollChatBottom();
 }
 
+function formatToolProgress(progress) {
+  const { elapsed_sec, ...rest } = progress;
+  const parts = Object.entries(rest).map(([k, v]) => `${k.replace(/_/g, " ")} ${typeof v === "object" ? JSON.stringify(v) : v}`);
+  if (elapsed_sec !== undefined) parts.push(`${elapsed_sec}s`);
+  return parts.join(" · ");
+}
+
+function updateChatToolCallProgress(toolId, progress) {
+  const el = document.querySelector(`.chat-tool-call[data-tool-id="${CSS.escape(toolId)}"]`);
+  const statusEl = el?.querySelector(".chat-tool-call-status");
+  if (!statusEl || statusEl.classList.contains("ok") || statusEl.classList.contains("error")) return;
+  statusEl.textContent = `running · ${formatToolProgress(progress)}`;
+  const bodyEl = el.querySelector(".chat-tool-call-body");
+  if (bodyEl) bodyEl.textContent = JSON.stringify(progress, null, 2);
+}
+
 function updateChatToolCall(toolId, result, params) {
   const el = document.querySelector(`.chat-tool-call[data-tool-id="${CSS.escape(toolId)}"]`);
   if (!el) return;
@@ -1567,11 +5561,32 @@ function hideChatSpinner() {
   $("chat-spinner")?.remove();
 }
 
+// Shows a short note (e.g. a retry countdown) next to the spinner dots.
+function setChatSpinnerStatus(text) {
+  if (!$("chat-spinner")) {
+    if (!text) return;
+    showChatSpinner();
+  }
+  const spinner = $("chat-spinner");
+  let status = spinner.querySelector(".chat-spinner-status");
+  if (!status) {
+    status = document.createElement("small");
+    status.className = "chat-spinner-status";
+    spinner.appendChild(status);
+  }
+  status.textContent = text;
+}
+
 function handleStreamError(err, prefix = "") {
   hideChatSpinner();
-  if (err.name !== "AbortError") {
-    appendChatMsg("error", prefix + err.message);
+  if (err.name === "AbortError") return;
+  // A request to the proxy that never got a response is either the proxy not
+  // running or the browser blocking it because this origin is not allowed.
+  if (err.name === "TypeError" && !prefix && chatState.provider === "local") {
+    appendChatMsg("error", `Could not reach the local proxy at ${chatState.proxyUrl}. Check that it is running and that ${location.origin} is in its allowedOrigins.`);
+    return;
   }
+  appendChatMsg("error", prefix + err.message);
 }
 
 function scrollChatBottom() {
@@ -1622,16 +5637,224 @@ const presetsPopover = $("url-presets-popover");
 
 presetsBtn.addEventListener("click", (e) => {
   e.stopPropagation();
+  if (presetsPopover.hidden) renderProfileList();
   presetsPopover.hidden = !presetsPopover.hidden;
+  profileEditor.hidden = true;
 });
 
-presetsPopover.querySelectorAll(".url-preset-item").forEach(item => {
-  item.addEventListener("click", () => {
-    $("url-input").value = item.dataset.url;
-    presetsPopover.hidden = true;
-  });
+function renderProfileList() {
+  const list = $("url-profile-list");
+  list.innerHTML = "";
+  if (!state.profiles.length) {
+    const empty = document.createElement("div");
+    empty.className = "url-preset-empty";
+    empty.textContent = "No profiles yet";
+    list.appendChild(empty);
+  }
+  for (const profile of state.profiles) {
+    const row = document.createElement("div");
+    row.className = "url-preset-row";
+
+    const item = document.createElement("button");
+    item.type = "button";
+    item.className = "url-preset-item";
+    if (profile.id === state.activeProfileId) item.classList.add("active");
+    item.setAttribute("role", "option");
+    item.setAttribute("aria-selected", String(profile.id === state.activeProfileId));
+    item.title = redactUrl(profile.url);
+    item.innerHTML = `
+      <span class="url-preset-label">${escHtml(profile.name)}</span>
+      <span class="url-preset-note">${escHtml(profile.note || parseHostname(profile.url))}${profile.username ? " · auth" : ""}</span>
+    `;
+    item.addEventListener("click", () => {
+      setActiveProfile(profile);
+      $("url-input").value = profile.url;
+      presetsPopover.hidden = true;
+      updateConnButton();
+    });
+
+    const edit = document.createElement("button");
+    edit.type = "button";
+    edit.className = "url-preset-edit";
+    edit.textContent = "✎";
+    edit.title = `Edit ${profile.name}`;
+    edit.setAttribute("aria-label", `Edit profile ${profile.name}`);
+    edit.addEventListener("click", (e) => {
+      e.stopPropagation();
+      openProfileEditor(profile);
+    });
+
+    row.appendChild(item);
+    row.appendChild(edit);
+    list.appendChild(row);
+  }
+}
+
+// Profile editor
+
+const profileEditor = $("url-profile-editor");
+let _editingProfileId = null;
+
+function openProfileEditor(profile = null) {
+  _editingProfileId = profile?.id || null;
+  const p = profile || { url: $("url-input").value.trim(), topicPrefix: state.topicPrefix };
+  $("url-profile-editor-title").textContent = profile ? "Edit profile" : "New profile";
+  $("profile-name").value = p.name || "";
+  $("profile-url").value = p.url || "";
+  $("profile-username").value = p.username || "";
+  $("profile-password").value = p.password || "";
+  $("profile-client-id").value = p.clientId || "";
+  $("profile-keepalive").value = p.keepalive ?? "";
+  $("profile-clean").checked = p.clean !== false;
+  $("profile-mqtt5").checked = p.protocolVersion === 5;
+  $("profile-prefix").value = p.topicPrefix || "";
+  $("profile-subs").value = (p.subscriptions || []).join("\n");
+  $("profile-delete").hidden = !profile;
+  presetsPopover.hidden = true;
+  profileEditor.hidden = false;
+  $("profile-name").focus();
+}
+
+profileEditor.addEventListener("submit", (e) => {
+  e.preventDefault();
+  const keepalive = $("profile-keepalive").value.trim();
+  const existing = state.profiles.find(p => p.id === _editingProfileId);
+  try {
+    upsertProfile({
+      name: $("profile-name").value,
+      url: $("profile-url").value,
+      note: existing?.note,
+      username: $("profile-username").value.trim(),
+      password: $("profile-password").value,
+      clientId: $("profile-client-id").value.trim(),
+      keepalive: keepalive ? Number(keepalive) : undefined,
+      clean: $("profile-clean").checked,
+      protocolVersion: $("profile-mqtt5").checked ? 5 : 4,
+      topicPrefix: $("profile-prefix").value,
+      subscriptions: $("profile-subs").value.split("\n"),
+    }, _editingProfileId);
+  } catch (err) {
+    toast(err.message, "error");
+    return;
+  }
+  profileEditor.hidden = true;
+  updateConnButton();
+  toast("Profile saved", "ok");
+});
+
+$("profile-cancel").addEventListener("click", () => {
+  profileEditor.hidden = true;
+});
+
+$("profile-delete").addEventListener("click", () => {
+  const profile = state.profiles.find(p => p.id === _editingProfileId);
+  if (!profile || !confirm(`Delete profile "${profile.name}"?`)) return;
+  deleteProfile(profile.id);
+  profileEditor.hidden = true;
+  updateConnButton();
+  toast("Profile deleted", "ok");
+});
+
+$("profile-new").addEventListener("click", (e) => {
+  e.stopPropagation();
+  openProfileEditor();
+});
+
+$("profile-export").addEventListener("click", () => {
+  const withSecrets = state.profiles.some(p => p.password)
+    && confirm("Include saved passwords in the exported file?");
+  exportProfiles(withSecrets);
+});
+
+$("profile-import").addEventListener("click", () => $("profile-import-file").click());
+
+$("profile-import-file").addEventListener("change", async (e) => {
+  const file = e.target.files?.[0];
+  e.target.value = "";
+  if (!file) return;
+  try {
+    const count = importProfiles(await file.text());
+    renderProfileList();
+    toast(`Imported ${count} profile${count === 1 ? "" : "s"}`, "ok");
+  } catch (err) {
+    toast(`Import failed: ${err.message}`, "error");
+  }
+});
+
+// Connection settings popover
+
+const connBtn = $("url-conn-btn");
+const connPopover = $("url-conn-popover");
+
+function updateConnButton() {
+  const url = $("url-input").value.trim();
+  const hasAuth = !!getConnSettings(url).username;
+  connBtn.classList.toggle("has-auth", hasAuth);
+  connBtn.title = hasAuth ? "Connection settings · authenticated" : "Connection settings";
+}
+
+function fillConnForm(url) {
+  const s = getConnSettings(url);
+  const profile = getActiveProfile();
+  const host = redactUrl(url) || "No broker URL";
+  $("url-conn-host").textContent = profile?.url === url ? `${profile.name} · ${host}` : host;
+  $("conn-username").value = s.username || "";
+  $("conn-password").value = s.password || "";
+  $("conn-client-id").value = s.clientId || "";
+  $("conn-keepalive").value = s.keepalive ?? "";
+  $("conn-clean").checked = s.clean !== false;
+  $("conn-mqtt5").checked = s.protocolVersion === 5;
+}
+
+function readConnForm() {
+  const keepalive = $("conn-keepalive").value.trim();
+  return {
+    username: $("conn-username").value.trim(),
+    password: $("conn-password").value,
+    clientId: $("conn-client-id").value.trim(),
+    keepalive: keepalive ? Number(keepalive) : undefined,
+    clean: $("conn-clean").checked,
+    protocolVersion: $("conn-mqtt5").checked ? 5 : 4,
+  };
+}
+
+connBtn.addEventListener("click", (e) => {
+  e.stopPropagation();
+  const opening = connPopover.hidden;
+  if (opening) fillConnForm($("url-input").value.trim());
+  connPopover.hidden = !opening;
+  connBtn.setAttribute("aria-expanded", String(opening));
 });
 
+connPopover.addEventListener("submit", (e) => {
+  e.preventDefault();
+  const url = $("url-input").value.trim();
+  if (!url) {
+    toast("Enter a broker URL first", "error");
+    return;
+  }
+  const settings = readConnForm();
+  try {
+    validateBrokerSettings(settings);
+  } catch (err) {
+    toast(err.message, "error");
+    return;
+  }
+  saveConnSettings(url, settings);
+  connPopover.hidden = true;
+  connBtn.setAttribute("aria-expanded", "false");
+  connect(url);
+});
+
+$("conn-settings-clear").addEventListener("click", () => {
+  const url = $("url-input").value.trim();
+  saveConnSettings(url, {});
+  fillConnForm(url);
+  toast("Connection settings cleared", "ok");
+});
+
+$("url-input").addEventListener("input", updateConnButton);
+
 $("sidebar-filter").addEventListener("input", (e) => {
   state.filter = e.target.value;
   renderSidebar();
@@ -1641,7 +5864,7 @@ $("topic-add-input").addEventListener("keydown", (e) => {
   if (e.key !== "Enter") return;
   const topic = e.target.value.trim();
   if (!topic) return;
-  trackTopic(topic);
+  if (!isWildcard(topic)) trackTopic(topic);
   selectTopic(topic);
   e.target.value = "";
 });
@@ -1651,6 +5874,7 @@ for (const btn of document.querySelectorAll("[data-section]")) {
     const section = btn.dataset.section;
     if (section in state.sidebarCollapsed) {
       state.sidebarCollapsed[section] = !state.sidebarCollapsed[section];
+      saveSidebarCollapsed();
       renderSidebar();
     }
   });
@@ -1675,6 +5899,206 @@ $("log-toggle").addEventListener("click", () => {
   }
 });
 
+// Payload decoder rules (settings)
+
+function renderCodecRules() {
+  const list = $("codec-rules-list");
+  if (!list) return;
+  list.innerHTML = "";
+  for (const rule of state.codecRules) {
+    const row = document.createElement("div");
+    row.className = "codec-rule";
+    const detail = rule.codec === "protobuf" ? ` · ${rule.messageType || "?"}` : "";
+    row.innerHTML = `
+      <span class="codec-rule-pattern" title="${escHtml(rule.pattern)}">${escHtml(rule.pattern)}</span>
+      <span class="codec-rule-codec">${escHtml(CODECS[rule.codec]?.label || rule.codec)}${escHtml(detail)}</span>
+      <button class="codec-rule-remove" aria-label="Remove rule for ${escHtml(rule.pattern)}">✕</button>
+    `;
+    row.querySelector(".codec-rule-remove").addEventListener("click", (e) => {
+      e.stopPropagation();
+      state.codecRules = state.codecRules.filter(r => r !== rule);
+      saveCodecRules();
+      renderCodecRules();
+    });
+    list.appendChild(row);
+  }
+}
+
+function renderSafetyRules() {
+  const list = $("safety-rules-list");
+  if (!list) return;
+  list.innerHTML = "";
+  for (const rule of state.safetyRules) {
+    const row = document.createElement("div");
+    row.className = "codec-rule";
+    const summary = describeSafetyRule(rule);
+    row.innerHTML = `
+      <span class="codec-rule-pattern" title="${escHtml(rule.pattern)}">${escHtml(rule.pattern)}</span>
+      <span class="codec-rule-codec" title="${escHtml(summary)}">${escHtml(summary)}</span>
+      <button class="codec-rule-remove" aria-label="Remove safety rule for ${escHtml(rule.pattern)}">✕</button>
+    `;
+    row.querySelector(".codec-rule-remove").addEventListener("click", (e) => {
+      e.stopPropagation();
+      state.safetyRules = state.safetyRules.filter(r => r !== rule);
+      saveSafetyRules();
+      renderSafetyRules();
+    });
+    list.appendChild(row);
+  }
+}
+
+// Clamp lines are "path min max", e.g. "speed 0 100" or "$ -1 1"; use "-" for no bound.
+function parseClampLines(text) {
+  return text.split("\n").map(l => l.trim()).filter(Boolean).map((line) => {
+    const [path, min, max] = line.split(/\s+/);
+    const bound = (v) => (v === undefined || v === "-" ? undefined : Number(v));
+    const clamp = { path: path === "$" ? "" : path, min: bound(min), max: bound(max) };
+    if ([clamp.min, clamp.max].some(v => v !== undefined && !Number.isFinite(v)) || (clamp.min === undefined && clamp.max === undefined)) {
+      throw new Error(`Invalid clamp "${line}" — use: path min max`);
+    }
+    return clamp;
+  });
+}
+
+function initSafetyRules() {
+  $("safety-rule-add").addEventListener("click", () => {
+    const pattern = $("safety-rule-pattern").value.trim();
+    if (!pattern) {
+      toast("Enter a topic or pattern", "error");
+      return;
+    }
+    const rule = { id: newId(), pattern };
+    try {
+      const schemaText = $("safety-rule-schema").value.trim();
+      if (schemaText) {
+        try {
+          rule.schema = JSON.parse(schemaText);
+        } catch {
+          throw new Error("Schema is not valid JSON");
+        }
+      }
+      const clamps = parseClampLines($("safety-rule-clamps").value);
+      if (clamps.length) rule.clamps = clamps;
+    } catch (err) {
+      toast(err.message, "error");
+      return;
+    }
+    const maxRate = Number($("safety-rule-rate").value);
+    const maxSeq = Number($("safety-rule-seq").value);
+    if (maxRate > 0) rule.maxRate = maxRate;
+    if (maxSeq > 0) rule.maxSequenceSec = maxSeq;
+    if (!describeSafetyRule(rule)) {
+      toast("Set at least one limit", "error");
+      return;
+    }
+    state.safetyRules = state.safetyRules.filter(r => r.pattern !== pattern);
+    state.safetyRules.push(rule);
+    saveSafetyRules();
+    renderSafetyRules();
+    for (const id of ["safety-rule-pattern", "safety-rule-schema", "safety-rule-clamps", "safety-rule-rate", "safety-rule-seq"]) $(id).value = "";
+  });
+  renderSafetyRules();
+}
+
+function renderApprovalRules() {
+  const list = $("approval-rules-list");
+  if (!list) return;
+  list.innerHTML = "";
+  state.approvalPolicy.rules.forEach((rule, i) => {
+    const row = document.createElement("div");
+    row.className = "codec-rule";
+    const label = rule.topic ? `${rule.tool} · ${rule.topic}` : rule.tool;
+    row.innerHTML = `
+      <span class="codec-rule-pattern" title="${escHtml(label)}">${i + 1}. ${escHtml(label)}</span>
+      <span class="codec-rule-codec approval-${escHtml(rule.action)}">${escHtml(rule.action)}</span>
+      <button class="codec-rule-remove" aria-label="Remove rule for ${escHtml(label)}">✕</button>
+    `;
+    row.querySelector(".codec-rule-remove").addEventListener("click", (e) => {
+      e.stopPropagation();
+      state.approvalPolicy.rules = state.approvalPolicy.rules.filter(r => r !== rule);
+      saveApprovalPolicy();
+      renderApprovalRules();
+    });
+    list.appendChild(row);
+  });
+}
+
+function initApprovalPolicy() {
+  const options = APPROVAL_ACTIONS.map(a => `<option value="${a}">${a}</option>`).join("");
+  $("approval-rule-action").innerHTML = options;
+  $("approval-rule-action").value = "confirm";
+  const defaultSel = $("approval-default");
+  defaultSel.innerHTML = options;
+  defaultSel.value = state.approvalPolicy.defaultAction;
+  defaultSel.addEventListener("change", () => {
+    state.approvalPolicy.defaultAction = defaultSel.value;
+    saveApprovalPolicy();
+  });
+
+  $("approval-rule-add").addEventListener("click", () => {
+    const tool = $("approval-rule-tool").value.trim() || "*";
+    const topic = $("approval-rule-topic").value.trim();
+    if (/\s/.test(tool)) {
+      toast("Tool pattern cannot contain spaces", "error");
+      return;
+    }
+    state.approvalPolicy.rules.push({ id: newId(), tool, topic, action: $("approval-rule-action").value });
+    saveApprovalPolicy();
+    renderApprovalRules();
+    $("approval-rule-tool").value = "";
+    $("approval-rule-topic").value = "";
+  });
+  renderApprovalRules();
+}
+
+function initCodecRules() {
+  const sel = $("codec-rule-codec");
+  sel.innerHTML = codecOptions("hex");
+  const syncProtoFields = () => { $("codec-rule-proto").hidden = sel.value !== "protobuf"; };
+  sel.addEventListener("change", syncProtoFields);
+  syncProtoFields();
+
+  let protoSource = null;
+  $("codec-rule-proto-file").addEventListener("change", async (e) => {
+    const file = e.target.files?.[0];
+    protoSource = file ? await file.text() : null;
+    $("codec-rule-proto-name").textContent = file ? file.name : "No .proto loaded";
+  });
+
+  $("codec-rule-add").addEventListener("click", async () => {
+    const pattern = $("codec-rule-pattern").value.trim();
+    const codec = sel.value;
+    if (!pattern) {
+      toast("Enter a topic or pattern", "error");
+      return;
+    }
+    const rule = { id: newId(), pattern, codec };
+    if (codec === "protobuf") {
+      rule.messageType = $("codec-rule-type").value.trim();
+      rule.proto = protoSource;
+      try {
+        getProtoType(rule, await ensureCodec("protobuf"));
+      } catch (err) {
+        toast(err.message, "error");
+        return;
+      }
+    } else if (CODECS[codec].lib) {
+      ensureCodec(codec).catch(err => toast(err.message, "error"));
+    }
+    state.codecRules = state.codecRules.filter(r => r.pattern !== pattern);
+    state.codecRules.push(rule);
+    saveCodecRules();
+    renderCodecRules();
+    $("codec-rule-pattern").value = "";
+    toast("Decoder rule added", "ok");
+  });
+
+  for (const rule of state.codecRules) {
+    if (CODECS[rule.codec]?.lib) ensureCodec(rule.codec).catch(() => {});
+  }
+  renderCodecRules();
+}
+
 function initTopicPrefix() {
   const input = $("topic-prefix-input");
   input.value = state.topicPrefix;
@@ -1683,14 +6107,32 @@ function initTopicPrefix() {
     const normalized = val && !val.endsWith("/") ? val + "/" : val;
     input.value = normalized;
     state.topicPrefix = normalized;
+    const profile = getActiveProfile();
+    if (profile) {
+      if (normalized) profile.topicPrefix = normalized;
+      else delete profile.topicPrefix;
+      saveProfiles();
+      toast(`Prefix saved to profile "${profile.name}" — reconnect to apply`, "ok");
+      return;
+    }
     localStorage.setItem("webmcp-topic-prefix", normalized);
     toast("Prefix saved — reconnect to apply", "ok");
   });
 }
 
+initProfiles();
+setInterval(() => {
+  refreshSidebarRates();
+  refreshDeviceSeen();
+}, 1000);
 registerWebMCPTools();
 initChat();
 initTopicPrefix();
+initCodecRules();
+initApprovalPolicy();
+initSafetyRules();
+initEmergencyStop();
+initSessionPanel();
 
 // WebMCP tools popover
 
@@ -1705,8 +6147,8 @@ $("webmcp-status-row").addEventListener("click", () => {
   header.className = "webmcp-popover-header";
   const titleText = _webmcpActive ? "WebMCP · active" : "WebMCP · inactive";
   const explainHTML = _webmcpActive
-    ? `These ${TOOLS.length} tools are registered with your browser's AI context, so native browser AI agents can call them directly. The <strong>AI chat panel</strong> on this page uses the same tools independently via the Anthropic/GitHub API — no flag needed.`
-    : `The <strong>AI chat panel</strong> on this page already uses these ${TOOLS.length} tools directly via the Anthropic/GitHub API — no flag needed. WebMCP would <em>also</em> expose them to native browser AI agents. Requires Chrome 146+ Canary → <code>chrome://flags/#webmcp-for-testing</code>.`;
+    ? `These ${getTools().length} tools are registered with your browser's AI context, so native browser AI agents can call them directly. The <strong>AI chat panel</strong> on this page uses the same tools independently via the Anthropic/GitHub API — no flag needed.`
+    : `The <strong>AI chat panel</strong> on this page already uses these ${getTools().length} tools directly via the Anthropic/GitHub API — no flag needed. WebMCP would <em>also</em> expose them to native browser AI agents. Requires Chrome 146+ Canary → <code>chrome://flags/#webmcp-for-testing</code>.`;
   header.innerHTML = `
     <div class="webmcp-popover-title">${titleText}</div>
     <div class="webmcp-popover-explain">${explainHTML}</div>
@@ -1718,7 +6160,7 @@ $("webmcp-status-row").addEventListener("click", () => {
   divider.textContent = "Tools";
   popover.appendChild(divider);
 
-  for (const tool of TOOLS) {
+  for (const tool of getTools()) {
     const item = document.createElement("div");
     item.className = "webmcp-popover-item";
     item.innerHTML = `
@@ -1741,6 +6183,7 @@ settingsBtn.addEventListener("click", (e) => {
   const opening = settingsPopover.hidden;
   settingsPopover.hidden = !opening;
   settingsBtn.setAttribute("aria-expanded", String(opening));
+  if (opening && chatState.provider === "local") checkProxyHealth();
 });
 
 // Theme toggle
@@ -1777,6 +6220,10 @@ function updateChatModelLabel() {
   const sel = $("chat-model-select");
   const label = $("chat-model-label");
   if (!sel || !label) return;
+  if (sel.value === "openai:custom") {
+    label.textContent = chatState.customEndpoint.model || "Custom";
+    return;
+  }
   const text = sel.options[sel.selectedIndex]?.text || "";
   label.textContent = text.replace(/^(?:GitHub · |Claude )/, "");
 }
@@ -1788,6 +6235,11 @@ updateChatModelLabel();
 
 function closeAllPopovers(except) {
   if (except !== "presets") presetsPopover.hidden = true;
+  if (except !== "profile") profileEditor.hidden = true;
+  if (except !== "conn") {
+    connPopover.hidden = true;
+    connBtn.setAttribute("aria-expanded", "false");
+  }
   if (except !== "settings") {
     settingsPopover.hidden = true;
     settingsBtn.setAttribute("aria-expanded", "false");
@@ -1800,6 +6252,8 @@ function closeAllPopovers(except) {
 
 document.addEventListener("click", (e) => {
   const target = e.target;
+  if (target.closest(".url-profile-editor")) return closeAllPopovers("profile");
+  if (target.closest(".url-conn-popover, .url-conn-btn")) return closeAllPopovers("conn");
   if (target.closest(".url-wrap")) return closeAllPopovers("presets");
   if (target.closest(".settings-wrap")) return closeAllPopovers("settings");
   if (target.closest("#webmcp-status-wrap")) return closeAllPopovers("webmcp");
@@ -1807,8 +6261,14 @@ document.addEventListener("click", (e) => {
 });
 
 document.addEventListener("keydown", (e) => {
-  if (e.key === "Escape") closeAllPopovers();
+  if (e.key === "Escape" && e.shiftKey) {
+    e.preventDefault();
+    engageEmergencyStop();
+  } else if (e.key === "Escape") {
+    closeAllPopovers();
+  }
 });
 
 $("url-input").value = state.url;
+updateConnButton();
 connect(state.url);
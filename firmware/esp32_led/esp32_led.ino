@@ -7,7 +7,10 @@
  * Payload: "true" or "1" → LED on, "false" or "0" → LED off
  *
  * Publishes a retained device announcement on connect so the
- * dashboard auto-discovers the topic.
+ * dashboard auto-discovers the topic and offers a typed set_led
+ * tool, and a retained "online" on devices/<mac>/status. The
+ * broker replaces it with "offline" (Last Will) if the
+ * connection drops.
  *
  * After first USB flash, use `make ota` for subsequent updates.
  *
@@ -41,6 +44,7 @@ const char* TOPIC_PREFIX = "devices/";
 
 String commandTopic;    // devices/<mac>/led/command
 String announceTopic;   // devices/<mac>
+String statusTopic;     // devices/<mac>/status
 String clientId;        // esp32-<mac>
 String announcement;    // JSON payload for device discovery
 
@@ -55,8 +59,13 @@ void buildTopicsFromMAC() {
 
   announceTopic = String(TOPIC_PREFIX) + mac;
   commandTopic  = announceTopic + "/led/command";
+  statusTopic   = announceTopic + "/status";
   clientId      = "esp32-" + mac;
-  announcement  = "{\"topics\":[\"" + commandTopic + "\"]}";
+  announcement  = "{\"topics\":[\"" + commandTopic + "\"],"
+                  "\"capabilities\":[{\"name\":\"set_led\","
+                  "\"description\":\"Turn the LED on (true) or off (false)\","
+                  "\"topic\":\"" + commandTopic + "\","
+                  "\"schema\":{\"type\":\"boolean\"}}]}";
 
   Serial.println("Topic: " + commandTopic);
 }
@@ -97,7 +106,7 @@ void mqttReconnect() {
 
   Serial.print("Connecting to MQTT...");
 
-  if (!mqttClient.connect(clientId.c_str())) {
+  if (!mqttClient.connect(clientId.c_str(), statusTopic.c_str(), 1, true, "offline")) {
     Serial.print(" failed, rc=");
     Serial.println(mqttClient.state());
     return;
@@ -105,6 +114,7 @@ void mqttReconnect() {
 
   Serial.println(" connected (" + String(MQTT_IP) + ")");
   mqttClient.publish(announceTopic.c_str(), announcement.c_str(), true);
+  mqttClient.publish(statusTopic.c_str(), "online", true);
   mqttClient.subscribe(commandTopic.c_str());
 }
 
@@ -129,6 +139,7 @@ void setup() {
   setupOTA();
 
   mqttClient.setServer(MQTT_IP, MQTT_PORT);
+  mqttClient.setBufferSize(512);  // announcement with capabilities exceeds the 256-byte default
   mqttClient.setCallback(onMessage);
 }
 
@@ -4,20 +4,16 @@
 
 const { createServer } = require("http");
 const { request: httpsRequest } = require("https");
+const { parseArgs } = require("util");
+const { StringDecoder } = require("string_decoder");
+const { createHash, randomBytes, timingSafeEqual } = require("crypto");
 const fs = require("fs");
 const path = require("path");
 
-// ── Configuration ───────────────────────────────────────────────────────────
-
-const PORT = 7337;
-const DEFAULT_MODEL = "claude-sonnet-4-6";
-const MAX_RPM = 10;
-
-const CORS_HEADERS = {
-  "Access-Control-Allow-Origin": "*",
-  "Access-Control-Allow-Methods": "POST, OPTIONS",
-  "Access-Control-Allow-Headers": "Content-Type, anthropic-version, anthropic-beta",
-};
+const MAX_RETRIES = 3;
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 30_000;
+const STARTED_AT = Date.now();
 
 // ── Minimal .env loader (no dotenv dependency) ──────────────────────────────
 // Matches KEY=value lines, strips optional surrounding quotes.
@@ -30,6 +26,174 @@ if (fs.existsSync(envFile)) {
   }
 }
 
+// ── Configuration ───────────────────────────────────────────────────────────
+// Precedence: CLI flags > PROXY_* environment variables > JSON config file
+// (--config, PROXY_CONFIG, or proxy.json next to this script)
+// > defaults. An empty `models` list allows any claude-* model. The bearer
+// secret comes from PROXY_SECRET or the config's `secret`; otherwise one is
+// generated once and kept in .proxy-secret (it is not accepted as a flag so
+// it never shows up in the process list). An empty auditLog turns the audit
+// log off.
+
+const DEFAULTS = {
+  port: 7337,
+  host: "127.0.0.1",
+  models: [],
+  defaultModel: "claude-sonnet-4-6",
+  maxRpm: 10,
+  maxTokensPerDay: 0,
+  allowedOrigins: ["http://localhost:8080", "http://127.0.0.1:8080", "https://neevs.io"],
+  auditLog: "",
+  auditMaxBytes: 10 * 1024 * 1024,
+  auditKeep: 5,
+  auditRedact: [],
+};
+
+const SECRET_FILE = path.join(__dirname, ".proxy-secret");
+
+const OPTIONS = {
+  config: { type: "string", env: "PROXY_CONFIG" },
+  port: { type: "string", env: "PROXY_PORT", parse: Number },
+  host: { type: "string", env: "PROXY_HOST" },
+  models: { type: "string", env: "PROXY_MODELS", parse: splitList },
+  "default-model": { type: "string", env: "PROXY_DEFAULT_MODEL", key: "defaultModel" },
+  "max-rpm": { type: "string", env: "PROXY_MAX_RPM", key: "maxRpm", parse: Number },
+  "max-tokens-per-day": { type: "string", env: "PROXY_MAX_TOKENS_PER_DAY", key: "maxTokensPerDay", parse: Number },
+  "allowed-origins": { type: "string", env: "PROXY_ALLOWED_ORIGINS", key: "allowedOrigins", parse: splitList },
+  "audit-log": { type: "string", env: "PROXY_AUDIT_LOG", key: "auditLog" },
+  "audit-max-bytes": { type: "string", env: "PROXY_AUDIT_MAX_BYTES", key: "auditMaxBytes", parse: Number },
+  "audit-keep": { type: "string", env: "PROXY_AUDIT_KEEP", key: "auditKeep", parse: Number },
+  "audit-redact": { type: "string", env: "PROXY_AUDIT_REDACT", key: "auditRedact", parse: splitList },
+  help: { type: "boolean", short: "h" },
+};
+
+function splitList(value) {
+  return value.split(",").map(s => s.trim()).filter(Boolean);
+}
+
+function usage() {
+  return [
+    "Usage: node local-proxy.js [options]",
+    "",
+    "  --config <file>            JSON config file (default: proxy.json if present)",
+    "  --port <n>                 Port to listen on (default 7337)",
+    "  --host <addr>              Bind address (default 127.0.0.1)",
+    "  --models <a,b>             Allowed models; others fall back to the default model",
+    "  --default-model <model>    Model used when the request's model is not allowed",
+    "  --max-rpm <n>              Requests per minute per client, with bursts up to n (default 10)",
+    "  --max-tokens-per-day <n>   Upstream tokens per client per day; 0 = unlimited (default 0)",
+    "  --allowed-origins <a,b>    Page origins allowed to call the proxy, or * (default: local preview and neevs.io)",
+    "  --audit-log <file>         Append one JSON line per forwarded request to this file (default: off)",
+    "  --audit-max-bytes <n>      Rotate the audit log when it reaches n bytes (default 10 MiB)",
+    "  --audit-keep <n>           Rotated audit logs to keep as <file>.1 ... <file>.n (default 5)",
+    "  --audit-redact <a,b>       Extra field names whose values are replaced with [redacted]",
+    "",
+    "Each flag can also be set with PROXY_<NAME> (e.g. PROXY_PORT, PROXY_DEFAULT_MODEL).",
+    "Requests must send the bearer secret printed at startup (set PROXY_SECRET to choose it).",
+  ].join("\n");
+}
+
+function loadConfig() {
+  let args;
+  try {
+    const options = Object.fromEntries(Object.entries(OPTIONS).map(([name, { type, short }]) => [name, short ? { type, short } : { type }]));
+    ({ values: args } = parseArgs({ options }));
+  } catch (err) {
+    console.error(`Error: ${err.message}\n\n${usage()}`);
+    process.exit(1);
+  }
+  if (args.help) {
+    console.log(usage());
+    process.exit(0);
+  }
+
+  const fileArg = args.config ?? process.env.PROXY_CONFIG;
+  const file = fileArg ? path.resolve(fileArg) : path.join(__dirname, "proxy.json");
+  let fromFile = {};
+  if (fileArg || fs.existsSync(file)) {
+    try {
+      fromFile = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      console.error(`Error: could not read config ${file}: ${err.message}`);
+      process.exit(1);
+    }
+  }
+
+  const config = { ...DEFAULTS, ...fromFile };
+  for (const [name, opt] of Object.entries(OPTIONS)) {
+    if (name === "config" || name === "help") continue;
+    const raw = args[name] ?? process.env[opt.env];
+    if (raw !== undefined && raw !== "") config[opt.key ?? name] = opt.parse ? opt.parse(raw) : raw;
+  }
+
+  config.secret = process.env.PROXY_SECRET || config.secret || loadOrCreateSecret();
+
+  const problems = [];
+  if (!Number.isInteger(config.port) || config.port < 1 || config.port > 65535) problems.push("port must be 1-65535");
+  if (!(config.maxRpm > 0)) problems.push("maxRpm must be a positive number");
+  if (!(config.maxTokensPerDay >= 0)) problems.push("maxTokensPerDay must be 0 or more");
+  if (!Array.isArray(config.models)) problems.push("models must be a list");
+  if (!Array.isArray(config.allowedOrigins)) problems.push("allowedOrigins must be a list");
+  if (!config.defaultModel?.startsWith("claude-")) problems.push("defaultModel must be a claude-* model");
+  if (String(config.secret).length < 16) problems.push("secret must be at least 16 characters");
+  if (typeof config.auditLog !== "string") problems.push("auditLog must be a file path");
+  if (!Number.isInteger(config.auditMaxBytes) || config.auditMaxBytes < 1024) problems.push("auditMaxBytes must be at least 1024");
+  if (!Number.isInteger(config.auditKeep) || config.auditKeep < 0) problems.push("auditKeep must be 0 or more");
+  if (!Array.isArray(config.auditRedact)) problems.push("auditRedact must be a list");
+  if (problems.length) {
+    console.error(`Error: invalid proxy config: ${problems.join("; ")}`);
+    process.exit(1);
+  }
+  if (config.auditLog) config.auditLog = path.resolve(config.auditLog);
+  return config;
+}
+
+function loadOrCreateSecret() {
+  if (fs.existsSync(SECRET_FILE)) {
+    const saved = fs.readFileSync(SECRET_FILE, "utf8").trim();
+    if (saved) return saved;
+  }
+  const secret = randomBytes(24).toString("base64url");
+  fs.writeFileSync(SECRET_FILE, secret + "\n", { mode: 0o600 });
+  return secret;
+}
+
+const config = loadConfig();
+
+function isModelAllowed(model) {
+  if (!model?.startsWith("claude-")) return false;
+  return !config.models.length || config.models.includes(model);
+}
+
+// Requests without an Origin header do not come from a web page (curl,
+// scripts) and are left to the secret check alone.
+function isOriginAllowed(origin) {
+  return !origin || config.allowedOrigins.includes("*") || config.allowedOrigins.includes(origin);
+}
+
+// CORS headers for a request's Origin; allow-origin is only ever sent back
+// for an allowed origin, so other pages cannot read any response.
+function corsHeaders(origin) {
+  const headers = {
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Authorization, Content-Type, anthropic-version, anthropic-beta, x-client-key",
+    "Access-Control-Expose-Headers": "retry-after, x-should-retry",
+    "Vary": "Origin",
+  };
+  if (origin && isOriginAllowed(origin)) headers["Access-Control-Allow-Origin"] = origin;
+  return headers;
+}
+
+function digest(value) {
+  return createHash("sha256").update(String(value)).digest();
+}
+
+// Constant-time comparison of the request's bearer token with the secret.
+function isAuthorized(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+  return !!match && timingSafeEqual(digest(match[1].trim()), digest(config.secret));
+}
+
 const token = process.env.CLAUDE_CODE_OAUTH_TOKEN;
 if (!token) {
   console.error("Error: CLAUDE_CODE_OAUTH_TOKEN not set. Copy .env.example -> .env and fill it in.");
@@ -37,9 +201,187 @@ if (!token) {
 }
 
 // ── Rate limiter ────────────────────────────────────────────────────────────
+// One token bucket per client (Origin plus optional x-client-key header):
+// holds up to maxRpm requests and refills at maxRpm per minute. Upstream
+// usage is added to the client's daily token count once each response ends.
+// A keyed client is charged to its origin as well, so rotating keys cannot
+// raise an origin's limits, and an origin keeps at most MAX_KEYS_PER_ORIGIN
+// keyed clients (the longest idle one is dropped to make room).
+
+const CLIENT_IDLE_MS = 24 * 60 * 60_000;
+const MAX_KEYS_PER_ORIGIN = 20;
+const clients = new Map();
+
+function requestClient(req) {
+  const origin = getClient(req.headers.origin || "no-origin");
+  const key = req.headers["x-client-key"];
+  if (!key) return origin;
+  const id = `${origin.id} (${String(key).slice(0, 64)})`;
+  if (!clients.has(id)) {
+    const keyed = [...clients.values()].filter((c) => c.parent === origin);
+    if (keyed.length >= MAX_KEYS_PER_ORIGIN) {
+      clients.delete(keyed.reduce((idlest, c) => (c.lastSeen < idlest.lastSeen ? c : idlest)).id);
+    }
+  }
+  const client = getClient(id);
+  client.parent = origin;
+  return client;
+}
+
+function localDay() {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+function secondsUntilMidnight() {
+  const midnight = new Date();
+  midnight.setHours(24, 0, 0, 0);
+  return Math.ceil((midnight - Date.now()) / 1000);
+}
+
+// Looks up a client and brings its bucket and daily counters up to date.
+function getClient(id) {
+  const now = Date.now();
+  let client = clients.get(id);
+  if (!client) {
+    client = { id, bucket: config.maxRpm, refilledAt: now, day: localDay(), requestsToday: 0, tokensToday: 0, rejectedToday: 0, lastSeen: now };
+    clients.set(id, client);
+  }
+  client.bucket = Math.min(config.maxRpm, client.bucket + ((now - client.refilledAt) / 60_000) * config.maxRpm);
+  client.refilledAt = now;
+  if (client.day !== localDay()) {
+    Object.assign(client, { day: localDay(), requestsToday: 0, tokensToday: 0, rejectedToday: 0 });
+  }
+  return client;
+}
+
+// The client itself plus, for a keyed client, its origin.
+function chargedClients(client) {
+  return client.parent ? [client, client.parent] : [client];
+}
+
+function checkLimits(client) {
+  if (config.maxTokensPerDay && client.tokensToday >= config.maxTokensPerDay) {
+    return { reason: `daily token budget of ${config.maxTokensPerDay} used`, retryAfter: secondsUntilMidnight() };
+  }
+  if (client.bucket < 1) {
+    return { reason: `rate limit of ${config.maxRpm} requests/min`, retryAfter: Math.max(1, Math.ceil(((1 - client.bucket) / config.maxRpm) * 60)) };
+  }
+  return null;
+}
+
+// Takes a request from the client's bucket (and its origin's). Returns null
+// when allowed, or { reason, retryAfter } (seconds) when it must be refused.
+function takeRequest(client) {
+  const charged = chargedClients(client);
+  for (const c of charged) c.lastSeen = Date.now();
+  for (const c of charged) {
+    const refused = checkLimits(c);
+    if (!refused) continue;
+    for (const r of charged) r.rejectedToday++;
+    return c === client ? refused : { ...refused, reason: `${refused.reason} for ${c.id}` };
+  }
+  for (const c of charged) {
+    c.bucket -= 1;
+    c.requestsToday++;
+  }
+  return null;
+}
+
+setInterval(() => {
+  for (const [id, client] of clients) {
+    if (Date.now() - client.lastSeen > CLIENT_IDLE_MS) clients.delete(id);
+  }
+}, 60 * 60_000).unref();
+
+// ── Audit log ───────────────────────────────────────────────────────────────
+// One JSON line per forwarded request, appended to config.auditLog. When the
+// file would grow past auditMaxBytes it moves to <file>.1 (older ones shift
+// up to <file>.<auditKeep>). Upstream content (tool_use inputs, error text)
+// is redacted; the proxy's own fields (usage, counts) are written as they are.
+
+const REDACTED = "[redacted]";
+const SECRET_FIELD_RE = /api[-_]?key|secret|password|authorization|(^|[-_])token$/i;
+const SECRET_VALUE_RES = [/sk-ant-[\w-]+/g, /sk-[A-Za-z0-9]{20,}/g, /Bearer\s+[\w.~+/=-]+/gi];
+const redactFields = new Set(config.auditRedact.map((f) => f.toLowerCase()));
+let auditBytes = 0;
+
+if (config.auditLog) {
+  fs.mkdirSync(path.dirname(config.auditLog), { recursive: true });
+  auditBytes = fs.existsSync(config.auditLog) ? fs.statSync(config.auditLog).size : 0;
+}
+
+function redactString(value) {
+  let out = value;
+  for (const known of [token, config.secret]) out = out.split(known).join(REDACTED);
+  for (const re of SECRET_VALUE_RES) out = out.replace(re, REDACTED);
+  return out;
+}
+
+// Copy of `value` with secret-looking keys, auditRedact fields and API keys
+// inside strings replaced by [redacted].
+function redact(value) {
+  if (typeof value === "string") return redactString(value);
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== "object") return value;
+  return Object.fromEntries(Object.entries(value).map(([key, v]) =>
+    [key, SECRET_FIELD_RE.test(key) || redactFields.has(key.toLowerCase()) ? REDACTED : redact(v)]));
+}
+
+function rotateAuditLog() {
+  const file = config.auditLog;
+  if (!config.auditKeep) {
+    fs.truncateSync(file, 0);
+    return;
+  }
+  for (let i = config.auditKeep - 1; i >= 1; i--) {
+    if (fs.existsSync(`${file}.${i}`)) fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`);
+  }
+  fs.renameSync(file, `${file}.1`);
+}
+
+// Failures are reported but never affect the response being proxied.
+function writeAudit(entry) {
+  if (!config.auditLog) return;
+  const line = JSON.stringify(entry) + "\n";
+  try {
+    if (auditBytes && auditBytes + Buffer.byteLength(line) > config.auditMaxBytes) {
+      rotateAuditLog();
+      auditBytes = 0;
+    }
+    fs.appendFileSync(config.auditLog, line);
+    auditBytes += Buffer.byteLength(line);
+  } catch (err) {
+    console.error(`Audit log: ${err.message}`);
+  }
+}
 
-let reqCount = 0;
-setInterval(() => { reqCount = 0; }, 60_000);
+function auditEntry(msg, { client, startedAt }, status, attempt, { usage, toolUses, stopReason, error } = {}) {
+  return {
+    ts: new Date().toISOString(),
+    client: client.id,
+    model: msg.model,
+    messages: Array.isArray(msg.messages) ? msg.messages.length : 0,
+    toolsRequested: Array.isArray(msg.tools) ? msg.tools.map((t) => t.name) : [],
+    status,
+    latencyMs: Date.now() - startedAt,
+    retries: attempt,
+    ...(usage ? { usage } : {}),
+    ...(toolUses ? { toolUses: redact(toolUses) } : {}),
+    ...(stopReason !== undefined ? { stopReason } : {}),
+    ...(error ? { error: redact(error) } : {}),
+  };
+}
+
+// Upstream error bodies are usually { error: { message } }; anything else is
+// logged as truncated text.
+function errorMessage(body) {
+  try {
+    return JSON.parse(body).error?.message ?? body.slice(0, 500);
+  } catch {
+    return body.slice(0, 500);
+  }
+}
 
 // ── Helpers ─────────────────────────────────────────────────────────────────
 
@@ -51,11 +393,112 @@ function collectBody(stream) {
   });
 }
 
-function forwardToAnthropic(msg, res) {
-  if (!msg.model?.startsWith("claude-")) msg.model = DEFAULT_MODEL;
+function usageTotal(usage) {
+  return usage.input + usage.output + usage.cacheRead + usage.cacheWrite;
+}
+
+// Fields present in an upstream usage object replace the running values;
+// message_delta repeats the cumulative output count.
+function mergeUsage(usage, raw) {
+  if (!raw) return;
+  if (raw.input_tokens != null) usage.input = raw.input_tokens;
+  if (raw.output_tokens != null) usage.output = raw.output_tokens;
+  if (raw.cache_read_input_tokens != null) usage.cacheRead = raw.cache_read_input_tokens;
+  if (raw.cache_creation_input_tokens != null) usage.cacheWrite = raw.cache_creation_input_tokens;
+}
+
+function emptyResult() {
+  return { usage: { input: 0, output: 0, cacheRead: 0, cacheWrite: 0 }, toolUses: [], stopReason: null };
+}
+
+// Rebuilds usage, tool_use blocks and the stop reason from one SSE event.
+// Tool inputs arrive as input_json_delta fragments keyed by block index.
+function readSseEvent(line, result, partial) {
+  if (!line.startsWith("data: ")) return;
+  let data;
+  try {
+    data = JSON.parse(line.slice(6));
+  } catch {
+    return;
+  }
+  if (data.type === "message_start") {
+    mergeUsage(result.usage, data.message?.usage);
+  } else if (data.type === "message_delta") {
+    mergeUsage(result.usage, data.usage);
+    result.stopReason = data.delta?.stop_reason ?? result.stopReason;
+  } else if (data.type === "content_block_start" && data.content_block?.type === "tool_use") {
+    partial.set(data.index, { id: data.content_block.id, name: data.content_block.name, json: "" });
+  } else if (data.type === "content_block_delta" && data.delta?.type === "input_json_delta") {
+    const block = partial.get(data.index);
+    if (block) block.json += data.delta.partial_json;
+  } else if (data.type === "content_block_stop" && partial.has(data.index)) {
+    const { id, name, json } = partial.get(data.index);
+    partial.delete(data.index);
+    let input = json;
+    try {
+      input = json ? JSON.parse(json) : {};
+    } catch {}
+    result.toolUses.push({ id, name, input });
+  }
+}
+
+function readJsonResult(body, result) {
+  try {
+    const data = JSON.parse(body);
+    mergeUsage(result.usage, data.usage);
+    result.stopReason = data.stop_reason ?? null;
+    for (const block of data.content ?? []) {
+      if (block.type === "tool_use") result.toolUses.push({ id: block.id, name: block.name, input: block.input });
+    }
+  } catch {}
+}
+
+// Reassembles an upstream response as it streams past, without holding it
+// back: usage, tool_use blocks and stop reason from SSE events or a JSON body.
+function tapResponse(apiRes, onEnd) {
+  const result = emptyResult();
+  const partial = new Map();
+  const sse = String(apiRes.headers["content-type"]).includes("event-stream");
+  const decoder = new StringDecoder("utf8");
+  let buffer = "";
+  apiRes.on("data", (chunk) => {
+    buffer += decoder.write(chunk);
+    if (!sse) return;
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    for (const line of lines) readSseEvent(line, result, partial);
+  });
+  apiRes.on("end", () => {
+    buffer += decoder.end();
+    if (sse) readSseEvent(buffer, result, partial);
+    else readJsonResult(buffer, result);
+    onEnd(result);
+  });
+}
+
+// 429, 5xx and 529 (overloaded) are worth retrying.
+function isRetryable(status) {
+  return status === 429 || status >= 500;
+}
+
+// Honors retry-after (seconds or HTTP date); otherwise exponential backoff with jitter.
+function retryDelayMs(attempt, headers) {
+  const after = headers["retry-after"];
+  if (after) {
+    const seconds = Number(after);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(after) - Date.now();
+    if (!Number.isNaN(ms)) return Math.max(0, ms);
+  }
+  const exp = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt);
+  return Math.round(exp * (0.5 + Math.random() / 2));
+}
+
+function forwardToAnthropic(msg, res, ctx, attempt = 0) {
+  const { cors, client } = ctx;
+  if (!isModelAllowed(msg.model)) msg.model = config.defaultModel;
   const payload = JSON.stringify(msg);
 
-  console.log(`-> ${payload.length}b  model=${msg.model}`);
+  console.log(`-> ${payload.length}b  model=${msg.model}${attempt ? `  retry ${attempt}/${MAX_RETRIES}` : ""}`);
 
   const apiReq = httpsRequest({
     hostname: "api.anthropic.com",
@@ -72,24 +515,41 @@ function forwardToAnthropic(msg, res) {
     console.log(`<- ${apiRes.statusCode}`);
 
     if (apiRes.statusCode !== 200) {
+      const delay = retryDelayMs(attempt, apiRes.headers);
+      if (isRetryable(apiRes.statusCode) && attempt < MAX_RETRIES && delay <= RETRY_MAX_MS) {
+        apiRes.resume();
+        console.warn(`   ${apiRes.statusCode}, retrying in ${delay} ms`);
+        const timer = setTimeout(() => forwardToAnthropic(msg, res, ctx, attempt + 1), delay);
+        res.once("close", () => clearTimeout(timer));
+        return;
+      }
       collectBody(apiRes).then((body) => {
         console.error("API error:", body);
-        res.writeHead(apiRes.statusCode, CORS_HEADERS);
+        writeAudit(auditEntry(msg, ctx, apiRes.statusCode, attempt, { error: errorMessage(body) }));
+        const headers = { ...cors, "x-should-retry": "false" };
+        if (apiRes.headers["retry-after"]) headers["retry-after"] = apiRes.headers["retry-after"];
+        res.writeHead(apiRes.statusCode, headers);
         res.end(body);
       });
       return;
     }
 
     res.writeHead(200, {
-      ...CORS_HEADERS,
+      ...cors,
       "content-type": apiRes.headers["content-type"] ?? "text/event-stream",
     });
+    tapResponse(apiRes, ({ usage, toolUses, stopReason }) => {
+      for (const c of chargedClients(client)) c.tokensToday += usageTotal(usage);
+      console.log(`   ${client.id}: ${usageTotal(usage)} tokens, ${client.tokensToday} today`);
+      writeAudit(auditEntry(msg, ctx, 200, attempt, { usage, toolUses, stopReason }));
+    });
     apiRes.pipe(res);
   });
 
   apiReq.on("error", (err) => {
     console.error("Request failed:", err.message);
-    if (!res.headersSent) res.writeHead(500, CORS_HEADERS);
+    writeAudit(auditEntry(msg, ctx, 500, attempt, { error: err.message }));
+    if (!res.headersSent) res.writeHead(500, cors);
     res.end();
   });
 
@@ -98,23 +558,97 @@ function forwardToAnthropic(msg, res) {
 
 // ── Server ──────────────────────────────────────────────────────────────────
 
+function sendJson(res, status, headers, body) {
+  res.writeHead(status, { ...headers, "content-type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+// Reachable without the secret so the dashboard can tell "offline" from
+// "wrong secret"; configuration details are only returned when authorized.
+function sendHealth(res, cors, authorized) {
+  if (!authorized) {
+    sendJson(res, 200, cors, { status: "ok", authorized: false });
+    return;
+  }
+  sendJson(res, 200, cors, {
+    status: "ok",
+    authorized: true,
+    defaultModel: config.defaultModel,
+    models: config.models,
+    maxRpm: config.maxRpm,
+    maxTokensPerDay: config.maxTokensPerDay,
+    uptimeSec: Math.round((Date.now() - STARTED_AT) / 1000),
+  });
+}
+
+function sendStats(res, cors) {
+  sendJson(res, 200, cors, {
+    maxRpm: config.maxRpm,
+    maxTokensPerDay: config.maxTokensPerDay,
+    clients: [...clients.keys()].map((id) => {
+      const client = getClient(id);
+      return {
+        client: id,
+        requestsAvailable: Math.floor(client.bucket),
+        requestsToday: client.requestsToday,
+        tokensToday: client.tokensToday,
+        rejectedToday: client.rejectedToday,
+        lastSeen: new Date(client.lastSeen).toISOString(),
+      };
+    }),
+  });
+}
+
+function sendError(res, status, headers, type, message) {
+  sendJson(res, status, headers, { type: "error", error: { type, message: `Local proxy: ${message}` } });
+}
+
 function handleRequest(req, res) {
+  const origin = req.headers.origin;
+  const cors = corsHeaders(origin);
+  if (!isOriginAllowed(origin)) {
+    console.warn(`Refused origin ${origin}`);
+    sendError(res, 403, cors, "permission_error", `origin ${origin} is not allowed; add it to allowedOrigins`);
+    return;
+  }
+
   if (req.method === "OPTIONS") {
-    res.writeHead(204, CORS_HEADERS);
+    res.writeHead(204, cors);
     res.end();
     return;
   }
 
-  if (req.method !== "POST" || req.url !== "/claude") {
+  const authorized = isAuthorized(req);
+  if (req.method === "GET" && req.url === "/health") {
+    sendHealth(res, cors, authorized);
+    return;
+  }
+
+  const known = (req.method === "GET" && req.url === "/stats") || (req.method === "POST" && req.url === "/claude");
+  if (!known) {
     res.writeHead(404);
     res.end();
     return;
   }
 
-  if (++reqCount > MAX_RPM) {
-    console.warn(`Rate limit hit (${MAX_RPM} req/min)`);
-    res.writeHead(429, CORS_HEADERS);
-    res.end();
+  if (!authorized) {
+    console.warn(`Refused ${origin || "request"}: missing or wrong secret`);
+    sendError(res, 401, { ...cors, "x-should-retry": "false" }, "authentication_error",
+      "missing or wrong secret; paste the secret printed when the proxy started into Settings → Local Claude Proxy");
+    return;
+  }
+
+  if (req.url === "/stats") {
+    sendStats(res, cors);
+    return;
+  }
+
+  const client = requestClient(req);
+  const refused = takeRequest(client);
+  if (refused) {
+    console.warn(`Refused ${client.id}: ${refused.reason}`);
+    sendError(res, 429, { ...cors, "retry-after": String(refused.retryAfter) }, "rate_limit_error",
+      `${refused.reason}; retry in ${refused.retryAfter}s`);
     return;
   }
 
@@ -127,11 +661,23 @@ function handleRequest(req, res) {
       res.end("Bad JSON");
       return;
     }
-    forwardToAnthropic(msg, res);
+    forwardToAnthropic(msg, res, { cors, client, startedAt: Date.now() });
   });
 }
 
-createServer(handleRequest).listen(PORT, "127.0.0.1", () => {
-  console.log(`\n  Claude proxy -> http://127.0.0.1:${PORT}`);
-  console.log(`  Token: ${token.slice(0, 8)}...${token.slice(-4)}\n`);
+const server = createServer(handleRequest);
+server.on("error", (err) => {
+  console.error(`Error: could not listen on ${config.host}:${config.port}: ${err.message}`);
+  process.exit(1);
+});
+server.listen(config.port, config.host, () => {
+  const host = config.host.includes(":") ? `[${config.host}]` : config.host;
+  console.log(`\n  Claude proxy -> http://${host}:${config.port}`);
+  console.log(`  Token: ${token.slice(0, 8)}...${token.slice(-4)}`);
+  console.log(`  Secret: ${config.secret}  (paste into dashboard Settings → Local Claude Proxy)`);
+  console.log(`  Models: ${config.models.length ? config.models.join(", ") : "any claude-*"} (default ${config.defaultModel})`);
+  const daily = config.maxTokensPerDay ? `, ${config.maxTokensPerDay} tokens/day` : "";
+  console.log(`  Origins: ${config.allowedOrigins.join(", ")}  ·  ${config.maxRpm} req/min${daily} per client`);
+  if (config.auditLog) console.log(`  Audit log: ${config.auditLog} (rotates at ${config.auditMaxBytes} bytes, keeps ${config.auditKeep})`);
+  console.log("");
 });